@@ -0,0 +1,134 @@
+/**
+ * Color space conversions between sRGB hex, linear RGB, OKLab and OKLCH,
+ * with gamut mapping of out-of-range OKLCH colors back into sRGB.
+ * OKLab matrices are from Björn Ottosson's reference implementation.
+ */
+
+export function srgbToLinear(c) {
+    return c <= 0.04045 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4);
+}
+
+export function linearToSrgb(c) {
+    return c <= 0.0031308 ? c * 12.92 : 1.055 * Math.pow(c, 1 / 2.4) - 0.055;
+}
+
+/* --- Hex <-> Linear RGB --- */
+export function hexToLinearRgb(hex) {
+    return [1, 3, 5].map(i => srgbToLinear(parseInt(hex.substr(i, 2), 16) / 255));
+}
+
+export function linearRgbToHex([r, g, b]) {
+    const toByte = v => Math.round(linearToSrgb(Math.max(0, Math.min(1, v))) * 255);
+    return `#${[r, g, b].map(v => toByte(v).toString(16).padStart(2, '0')).join('')}`.toUpperCase();
+}
+
+/* --- Linear RGB <-> OKLab --- */
+export function linearRgbToOklab([r, g, b]) {
+    const l = Math.cbrt(0.4122214708 * r + 0.5363325363 * g + 0.0514459929 * b);
+    const m = Math.cbrt(0.2119034982 * r + 0.6806995451 * g + 0.1073969566 * b);
+    const s = Math.cbrt(0.0883024619 * r + 0.2817188376 * g + 0.6299787005 * b);
+
+    return {
+        l: 0.2104542553 * l + 0.7936177850 * m - 0.0040720468 * s,
+        a: 1.9779984951 * l - 2.4285922050 * m + 0.4505937099 * s,
+        b: 0.0259040371 * l + 0.7827717662 * m - 0.8086757660 * s
+    };
+}
+
+export function oklabToLinearRgb({ l: L, a, b }) {
+    const l = Math.pow(L + 0.3963377774 * a + 0.2158037573 * b, 3);
+    const m = Math.pow(L - 0.1055613458 * a - 0.0638541728 * b, 3);
+    const s = Math.pow(L - 0.0894841775 * a - 1.2914855480 * b, 3);
+
+    return [
+        4.0767416621 * l - 3.3077115913 * m + 0.2309699292 * s,
+        -1.2684380046 * l + 2.6097574011 * m - 0.3413193965 * s,
+        -0.0041960863 * l - 0.7034186147 * m + 1.7076147010 * s
+    ];
+}
+
+/* --- OKLab <-> OKLCH --- */
+export function oklabToOklch({ l, a, b }) {
+    const c = Math.hypot(a, b);
+    // Hue is meaningless for achromatic colors; report 0 rather than noise
+    const h = c < 1e-4 ? 0 : (Math.atan2(b, a) * 180 / Math.PI + 360) % 360;
+    return { l, c, h };
+}
+
+export function oklchToOklab({ l, c, h }) {
+    const rad = h * Math.PI / 180;
+    return { l, a: c * Math.cos(rad), b: c * Math.sin(rad) };
+}
+
+/* --- Hex shortcuts --- */
+export function hexToOklab(hex) {
+    return linearRgbToOklab(hexToLinearRgb(hex));
+}
+
+export function hexToOklch(hex) {
+    return oklabToOklch(hexToOklab(hex));
+}
+
+export function oklabToHex(lab) {
+    return linearRgbToHex(oklabToLinearRgb(lab));
+}
+
+export function oklchToHex(lch) {
+    return oklabToHex(oklchToOklab(gamutMapOklch(lch)));
+}
+
+/* --- Distance & Gamut --- */
+export function deltaEOK(labA, labB) {
+    return Math.hypot(labA.l - labB.l, labA.a - labB.a, labA.b - labB.b);
+}
+
+export function isInGamut(lch, epsilon = 1e-4) {
+    return oklabToLinearRgb(oklchToOklab(lch)).every(v => v >= -epsilon && v <= 1 + epsilon);
+}
+
+/**
+ * CSS Color 4 gamut mapping: keep lightness and hue, reduce chroma by binary
+ * search until clipping the result is no longer noticeable (deltaEOK < JND).
+ * Returns an OKLCH color that converts to sRGB without visible clipping.
+ */
+export function gamutMapOklch(lch) {
+    const JND = 0.02;
+    const EPSILON = 0.0001;
+
+    if (lch.l >= 1) return { l: 1, c: 0, h: lch.h };
+    if (lch.l <= 0) return { l: 0, c: 0, h: lch.h };
+    if (isInGamut(lch)) return lch;
+
+    const clip = color => oklabToOklch(linearRgbToOklab(
+        oklabToLinearRgb(oklchToOklab(color)).map(v => Math.max(0, Math.min(1, v)))
+    ));
+    const distance = (a, b) => deltaEOK(oklchToOklab(a), oklchToOklab(b));
+
+    let current = { ...lch };
+    let clipped = clip(current);
+    if (distance(clipped, current) < JND) return clipped;
+
+    let min = 0;
+    let max = lch.c;
+    let minInGamut = true;
+    while (max - min > EPSILON) {
+        const chroma = (min + max) / 2;
+        current = { ...lch, c: chroma };
+
+        if (minInGamut && isInGamut(current)) {
+            min = chroma;
+            continue;
+        }
+
+        clipped = clip(current);
+        const error = distance(clipped, current);
+        if (error < JND) {
+            if (JND - error < EPSILON) return clipped;
+            minInGamut = false;
+            min = chroma;
+        } else {
+            max = chroma;
+        }
+    }
+    return clipped;
+}
@@ -0,0 +1,388 @@
+/**
+ * Headless palette engine: harmony generation, color conversions and WCAG
+ * contrast, with no DOM access. Runs in the browser and under Node.
+ *
+ *     import { generatePalette } from './palette-engine.js';
+ *     const { seed, colors } = generatePalette({ mode: 'triadic', count: 5, seed: 'BRAND' });
+ *
+ * Harmonies work on { h, s, l } objects: hue in degrees, saturation and
+ * lightness in percent. With `perceptual` set they are read as OKLCH instead
+ * of HSL (l is OK lightness, s scales chroma up to `maxChroma`).
+ *
+ * Options shared by the harmony functions:
+ *   mode        one of HARMONY_MODES; anything else gets random hues
+ *   count       number of colors
+ *   perceptual  run the harmony in OKLCH rather than HSL
+ *   maxChroma   OKLCH chroma reached at 100% saturation (perceptual only)
+ *   rule        custom harmony slots [{ h, s, l }], used instead of `mode`
+ *   random      generator from createRandom(); drives every random choice
+ *   pins        per-slot channels to keep from the current colors, e.g. ['h', '', 'sl']
+ */
+import { hexToOklch, oklchToHex } from './color-space.js';
+import { createRandom, randomSeed } from './random.js';
+
+export const HARMONY_MODES = [
+    'analogous', 'monochromatic', 'complementary', 'triadic', 'split-complementary', 'square',
+    'rectangle', 'double-split-complementary', 'compound', 'shades-accent', 'natural'
+];
+
+// Table-driven harmony modes: hue offset plus saturation/lightness deltas per slot.
+// Custom rules use the same shape.
+export const HARMONY_RULES = {
+    rectangle: [
+        { h: 0, s: 0, l: 0 },
+        { h: 60, s: 0, l: 0 },
+        { h: 180, s: 0, l: 0 },
+        { h: 240, s: 0, l: 0 }
+    ],
+    'double-split-complementary': [
+        { h: 0, s: 0, l: 0 },
+        { h: 150, s: 0, l: 0 },
+        { h: 210, s: 0, l: 0 },
+        { h: 30, s: -10, l: 8 },
+        { h: -30, s: -10, l: 8 }
+    ],
+    compound: [
+        { h: 0, s: 0, l: 0 },
+        { h: 30, s: -10, l: 10 },
+        { h: 165, s: 0, l: -10 },
+        { h: 195, s: -15, l: 5 }
+    ]
+};
+
+export const MAX_OKLCH_CHROMA = 0.22;
+
+// Tint/shade ramp: steps and the OK lightness at either end
+export const SCALE_STEPS = [50, 100, 200, 300, 400, 500, 600, 700, 800, 900, 950];
+export const SCALE_LIGHTNESS = { lightest: 0.97, darkest: 0.27 };
+
+const clip = (val, min, max) => Math.max(min, Math.min(val, max));
+
+/* --- Conversions --- */
+export function hslToHex(h, s, l) {
+    l /= 100;
+    const a = s * Math.min(l, 1 - l) / 100;
+    const f = n => {
+        const k = (n + h / 30) % 12;
+        const color = l - a * Math.max(Math.min(k - 3, 9 - k, 1), -1);
+        return Math.round(255 * color).toString(16).padStart(2, '0');
+    };
+    return `#${f(0)}${f(8)}${f(4)}`.toUpperCase();
+}
+
+export function hexToHsl(hex) {
+    const { r, g, b } = hexToRgb(hex);
+    const [R, G, B] = [r / 255, g / 255, b / 255];
+    const max = Math.max(R, G, B);
+    const min = Math.min(R, G, B);
+    const l = (max + min) / 2;
+    const d = max - min;
+
+    let h = 0;
+    let s = 0;
+    if (d !== 0) {
+        s = d / (1 - Math.abs(2 * l - 1));
+        if (max === R) h = ((G - B) / d) % 6;
+        else if (max === G) h = (B - R) / d + 2;
+        else h = (R - G) / d + 4;
+        h = (h * 60 + 360) % 360;
+    }
+    return { h, s: s * 100, l: l * 100 };
+}
+
+export function rgbToHex(r, g, b) {
+    return `#${[r, g, b].map(v => Math.round(v).toString(16).padStart(2, '0')).join('')}`.toUpperCase();
+}
+
+export function hexToRgb(hex) {
+    return {
+        r: parseInt(hex.substr(1, 2), 16),
+        g: parseInt(hex.substr(3, 2), 16),
+        b: parseInt(hex.substr(5, 2), 16)
+    };
+}
+
+/**
+ * Naive (uncalibrated) CMYK, each channel in whole percent.
+ */
+export function hexToCmyk(hex) {
+    const { r, g, b } = hexToRgb(hex);
+    const k = 1 - Math.max(r, g, b) / 255;
+    const ink = v => (k === 1 ? 0 : Math.round(((1 - v / 255 - k) / (1 - k)) * 100));
+    return { c: ink(r), m: ink(g), y: ink(b), k: Math.round(k * 100) };
+}
+
+/* --- WCAG Contrast --- */
+export function getRelativeLuminance(hex) {
+    // WCAG 2.x: linearize sRGB channels, then weight by luminosity
+    const { r, g, b } = hexToRgb(hex);
+    const [R, G, B] = [r, g, b].map(v => {
+        const c = v / 255;
+        return c <= 0.03928 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4);
+    });
+    return 0.2126 * R + 0.7152 * G + 0.0722 * B;
+}
+
+export function getContrastRatio(hexA, hexB) {
+    const lumA = getRelativeLuminance(hexA);
+    const lumB = getRelativeLuminance(hexB);
+    return (Math.max(lumA, lumB) + 0.05) / (Math.min(lumA, lumB) + 0.05);
+}
+
+/**
+ * Whichever of the two text colors contrasts more with `hex`.
+ */
+export function getContrastColor(hex, { dark = '#0f1219', light = '#ffffff' } = {}) {
+    return getContrastRatio(hex, dark) >= getContrastRatio(hex, light) ? dark : light;
+}
+
+/* --- Harmony Space --- */
+/**
+ * Converts a harmony { h, s, l } to hex, through OKLCH when `perceptual` is set.
+ */
+export function harmonyToHex({ h, s, l }, { perceptual = false, maxChroma = MAX_OKLCH_CHROMA } = {}) {
+    // Perceptual mode reads l as OK lightness (%) and s as a share of maxChroma,
+    // so equal steps look equally far apart
+    if (perceptual) {
+        return oklchToHex({ l: l / 100, c: (s / 100) * maxChroma, h });
+    }
+    return hslToHex(h, s, l);
+}
+
+/**
+ * Inverse of harmonyToHex.
+ */
+export function hexToHarmonySpace(hex, { perceptual = false, maxChroma = MAX_OKLCH_CHROMA } = {}) {
+    if (perceptual) {
+        const { l, c, h } = hexToOklch(hex);
+        return { h, s: (c / maxChroma) * 100, l: l * 100 };
+    }
+    return hexToHsl(hex);
+}
+
+/* --- Harmonies --- */
+/**
+ * Lays out `count` harmony colors around `base` for the given mode or rule.
+ * Hue wraps at 360; saturation and lightness are clipped per mode.
+ */
+export function calculateHarmonies({ h, s, l }, { mode = 'analogous', count = 5, perceptual = false, rule = null, random = Math.random } = {}) {
+    let colors = [];
+
+    const generateSteps = (baseValue, stepSize, num) => {
+        const steps = [];
+        const half = Math.floor(num / 2);
+        for (let i = -half; i < -half + num; i++) {
+            steps.push(baseValue + i * stepSize);
+        }
+        return steps;
+    };
+
+    if (rule) {
+        return applyHarmonyRule(rule, { h, s, l }, count);
+    }
+
+    switch (mode) {
+        case 'monochromatic':
+            const lSteps = generateSteps(l, 12, count);
+            colors = lSteps.map(L => ({ h, s, l: clip(L, 15, 95) }));
+            break;
+        case 'analogous':
+            const hSteps = generateSteps(h, 20, count);
+            colors = hSteps.map(H => ({ h: (H + 360) % 360, s, l }));
+            break;
+        case 'complementary':
+            for (let i = 0; i < count; i++) {
+                if (i < Math.ceil(count / 2)) {
+                    colors.push({ h, s, l: clip(l + (i * 15), 20, 90) });
+                } else {
+                    const offset = i - Math.ceil(count / 2);
+                    colors.push({ h: (h + 180) % 360, s, l: clip(l - (offset * 15), 20, 90) });
+                }
+            }
+            break;
+        case 'triadic':
+            const triH = [h, (h + 120) % 360, (h + 240) % 360];
+            for (let i = 0; i < count; i++) {
+                colors.push({ h: triH[i % 3], s, l: clip(l + (Math.floor(i / 3) * 15), 20, 90) });
+            }
+            break;
+        case 'split-complementary':
+            const splitH = [h, (h + 150) % 360, (h + 210) % 360];
+            for (let i = 0; i < count; i++) {
+                colors.push({ h: splitH[i % 3], s, l: clip(l + (Math.floor(i / 3) * 15), 20, 90) });
+            }
+            break;
+        case 'square':
+            const squareH = [h, (h + 90) % 360, (h + 180) % 360, (h + 270) % 360];
+            for (let i = 0; i < count; i++) {
+                colors.push({ h: squareH[i % 4], s, l: clip(l + (Math.floor(i / 4) * 15), 20, 90) });
+            }
+            break;
+        case 'rectangle':
+        case 'double-split-complementary':
+        case 'compound':
+            colors = applyHarmonyRule(HARMONY_RULES[mode], { h, s, l }, count);
+            break;
+        case 'shades-accent':
+            // Muted monochromatic shades, with the complement as a single accent at the end
+            const shadeSteps = generateSteps(l, 12, count - 1);
+            colors = shadeSteps.map(L => ({ h, s: clip(s - 15, 0, 100), l: clip(L, 15, 95) }));
+            colors.push({ h: (h + 180) % 360, s: clip(s + 15, 0, 100), l: clip(l, 40, 70) });
+            break;
+        case 'natural':
+            // Analogous hues lit the way nature lights them: yellows light, blues and violets deep
+            const yellow = perceptual ? 110 : 60;
+            colors = generateSteps(h, 24, count).map(H => {
+                const hue = (H + 360) % 360;
+                const lift = Math.cos((hue - yellow) * Math.PI / 180) * 18;
+                return { h: hue, s, l: clip(l + lift, 15, 90) };
+            });
+            break;
+        default:
+            for (let i = 0; i < count; i++) colors.push({ h: random() * 360, s: 60, l: 50 });
+    }
+    return colors;
+}
+
+/**
+ * Applies per-slot { h, s, l } offsets to `base`. Slots past the end of the
+ * rule repeat it one lightness step (15) lighter per cycle.
+ */
+export function applyHarmonyRule(slots, { h, s, l }, count) {
+    return Array.from({ length: count }, (_, i) => {
+        const slot = slots[i % slots.length];
+        const cycle = Math.floor(i / slots.length);
+        return {
+            h: (((h + slot.h) % 360) + 360) % 360,
+            s: clip(s + slot.s, 0, 100),
+            l: clip(l + slot.l + cycle * 15, 15, 95)
+        };
+    });
+}
+
+/**
+ * Random starting color for a palette: any hue, mid to high saturation, mid lightness.
+ */
+export function randomBase(random = Math.random) {
+    return {
+        h: Math.floor(random() * 360),
+        s: Math.floor(random() * 60) + 40,
+        l: Math.floor(random() * 40) + 35
+    };
+}
+
+/**
+ * Solves the harmony base that best explains `colors` at the given slot
+ * indices, so the rest of the palette can be regenerated around them.
+ */
+export function deriveHarmonyBase(colors, indices, options = {}) {
+    const { random = Math.random } = options;
+
+    // Each slot's offset from the base in the current mode, measured on a neutral base
+    const reference = calculateHarmonies({ h: 0, s: 50, l: 50 }, options);
+
+    let x = 0;
+    let y = 0;
+    let sTotal = 0;
+    let lTotal = 0;
+    indices.forEach(i => {
+        const color = hexToHarmonySpace(colors[i], options);
+        const offset = reference[i];
+
+        // Circular mean of the implied base hues, weighted by saturation (grays carry no hue)
+        const hue = (color.h - offset.h) * Math.PI / 180;
+        x += Math.cos(hue) * color.s;
+        y += Math.sin(hue) * color.s;
+        sTotal += color.s - offset.s + 50;
+        lTotal += color.l - offset.l + 50;
+    });
+
+    return {
+        h: Math.hypot(x, y) > 1e-6 ? (Math.atan2(y, x) * 180 / Math.PI + 360) % 360 : random() * 360,
+        s: clip(sTotal / indices.length, 20, 100),
+        l: clip(lTotal / indices.length, 15, 90)
+    };
+}
+
+/**
+ * Randomly offsets each channel by up to ±spread (hue wraps, s/l are clipped).
+ */
+export function jitterHarmony({ h, s, l }, spread, random = Math.random) {
+    const offset = range => (random() * 2 - 1) * range;
+    return {
+        h: (h + offset(spread.h) + 360) % 360,
+        s: clip(s + offset(spread.s), 0, 100),
+        l: clip(l + offset(spread.l), 5, 95)
+    };
+}
+
+/**
+ * Keeps the pinned channels of `hex` ('h', 's' and/or 'l') in a harmony color.
+ */
+export function applyPins(hsl, hex, channels, options = {}) {
+    if (!channels || !hex) return hsl;
+    const current = hexToHarmonySpace(hex, options);
+    return {
+        h: channels.includes('h') ? current.h : hsl.h,
+        s: channels.includes('s') ? current.s : hsl.s,
+        l: channels.includes('l') ? current.l : hsl.l
+    };
+}
+
+/**
+ * Generates a full palette from a seed. Locked entries of `colors` are kept
+ * and anchor the harmony; pinned channels are kept per slot; everything else
+ * is derived from the seed, so the same options always give the same palette.
+ *
+ * Pass `random` instead of `seed` to keep drawing from an existing generator.
+ *
+ * @returns {{ seed: string, colors: string[] }} uppercase #RRGGBB colors
+ */
+export function generatePalette({ seed = randomSeed(), random = createRandom(seed), colors = [], locked = [], pins = [], ...options } = {}) {
+    const settings = { count: 5, ...options, random };
+
+    // 1. Base color, or the one implied by the locked swatches (lightly jittered)
+    let base = randomBase(random);
+    const anchors = locked.map((isLocked, i) => (isLocked && colors[i] ? i : -1)).filter(i => i >= 0);
+    if (anchors.length) {
+        base = jitterHarmony(deriveHarmonyBase(colors, anchors, settings), { h: 0, s: 6, l: 6 }, random);
+    }
+
+    // 2. Harmony, keeping locked colors in place and pinned channels as they were
+    const harmony = calculateHarmonies(base, settings);
+    return {
+        seed,
+        colors: harmony.slice(0, settings.count).map((hsl, i) => (locked[i] && colors[i]
+            ? colors[i]
+            : harmonyToHex(applyPins(hsl, colors[i], pins[i], settings), settings)))
+    };
+}
+
+/**
+ * A new color for one slot that still fits the harmony of the others.
+ */
+export function regenerateColor(colors, index, options = {}) {
+    const settings = { count: colors.length, ...options };
+    const others = colors.map((_, i) => i).filter(i => i !== index);
+    const base = deriveHarmonyBase(colors, others, settings);
+    const target = jitterHarmony(calculateHarmonies(base, settings)[index], { h: 8, s: 15, l: 12 }, settings.random);
+    return harmonyToHex(applyPins(target, colors[index], settings.pins?.[index], settings), settings);
+}
+
+/**
+ * 50–950 tint/shade ramp for a color, as [{ step, hex }].
+ */
+export function getColorScale(hex, { steps = SCALE_STEPS, lightest = SCALE_LIGHTNESS.lightest, darkest = SCALE_LIGHTNESS.darkest } = {}) {
+    // Evenly spaced OK lightness keeps the steps perceptually even; chroma
+    // tapers toward the ends where sRGB cannot hold much color
+    const { c, h } = hexToOklch(hex);
+
+    return steps.map((step, i) => {
+        const t = i / (steps.length - 1);
+        const taper = 1 - 0.7 * Math.pow(2 * t - 1, 2);
+        return {
+            step,
+            hex: oklchToHex({ l: lightest - t * (lightest - darkest), c: c * taper, h })
+        };
+    });
+}
@@ -0,0 +1,85 @@
+/**
+ * Saved palette storage on IndexedDB. Each record looks like:
+ * { id, name, tags: [], collection, colors: ['#RRGGBB'], locked: [bool], mode, createdAt, updatedAt }
+ */
+
+const STORE = 'palettes';
+
+function promisify(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+export class PaletteLibrary {
+    constructor(name = 'chromaflow-library') {
+        this.name = name;
+        this.db = null;
+    }
+
+    open() {
+        if (this.db) return this.db;
+
+        const request = indexedDB.open(this.name, 1);
+        request.onupgradeneeded = () => {
+            const store = request.result.createObjectStore(STORE, { keyPath: 'id' });
+            store.createIndex('collection', 'collection');
+            store.createIndex('tags', 'tags', { multiEntry: true });
+            store.createIndex('updatedAt', 'updatedAt');
+        };
+        this.db = promisify(request);
+        return this.db;
+    }
+
+    async transaction(mode, callback) {
+        const db = await this.open();
+        const tx = db.transaction(STORE, mode);
+        const result = callback(tx.objectStore(STORE));
+        await new Promise((resolve, reject) => {
+            tx.oncomplete = resolve;
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error);
+        });
+        return result;
+    }
+
+    async getAll() {
+        const db = await this.open();
+        const entries = await promisify(db.transaction(STORE).objectStore(STORE).getAll());
+        // Newest first
+        return entries.sort((a, b) => b.updatedAt - a.updatedAt);
+    }
+
+    async get(id) {
+        const db = await this.open();
+        return promisify(db.transaction(STORE).objectStore(STORE).get(id));
+    }
+
+    async save(entry) {
+        const now = Date.now();
+        const record = {
+            ...entry,
+            id: entry.id || crypto.randomUUID(),
+            createdAt: entry.createdAt || now,
+            updatedAt: now
+        };
+        await this.transaction('readwrite', store => store.put(record));
+        return record;
+    }
+
+    async saveMany(entries) {
+        await this.transaction('readwrite', store => entries.forEach(entry => store.put(entry)));
+        return entries.length;
+    }
+
+    async duplicate(id) {
+        const original = await this.get(id);
+        if (!original) return null;
+        return this.save({ ...original, id: null, createdAt: null, name: `${original.name} (copy)` });
+    }
+
+    async delete(id) {
+        await this.transaction('readwrite', store => store.delete(id));
+    }
+}
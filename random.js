@@ -0,0 +1,39 @@
+/**
+ * Seedable pseudo-random numbers, so a palette can be reproduced from its seed.
+ * Any string works as a seed; it is hashed to 32 bits and fed to Mulberry32.
+ */
+
+export function hashSeed(seed) {
+    // cyrb53-style string hash folded to 32 bits
+    let h1 = 0xdeadbeef;
+    let h2 = 0x41c6ce57;
+    for (let i = 0; i < seed.length; i++) {
+        const ch = seed.charCodeAt(i);
+        h1 = Math.imul(h1 ^ ch, 2654435761);
+        h2 = Math.imul(h2 ^ ch, 1597334677);
+    }
+    h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507) ^ Math.imul(h2 ^ (h2 >>> 13), 3266489909);
+    h2 = Math.imul(h2 ^ (h2 >>> 16), 2246822507) ^ Math.imul(h1 ^ (h1 >>> 13), 3266489909);
+    return (h1 ^ h2) >>> 0;
+}
+
+/**
+ * Returns a generator function yielding floats in [0, 1), like Math.random().
+ */
+export function createRandom(seed) {
+    let state = hashSeed(String(seed));
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * Fresh short seed for a new palette (the only place real entropy is used).
+ */
+export function randomSeed() {
+    return Math.floor(Math.random() * 0xFFFFFFFF).toString(36).toUpperCase().padStart(7, '0');
+}
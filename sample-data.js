@@ -0,0 +1,32 @@
+/**
+ * Sample data for the Interface Preview templates. One series, share and
+ * project per palette slot (up to the 8-color maximum).
+ */
+export const SAMPLE_DATA = {
+    months: ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'],
+    series: [
+        { name: 'Direct', values: [42, 48, 45, 56, 61, 58, 67, 72, 70, 78, 84, 91] },
+        { name: 'Search', values: [30, 34, 39, 37, 44, 49, 47, 53, 58, 56, 61, 66] },
+        { name: 'Social', values: [18, 22, 20, 27, 25, 31, 36, 34, 40, 43, 41, 48] },
+        { name: 'Email', values: [12, 14, 13, 17, 19, 18, 22, 21, 24, 26, 29, 28] },
+        { name: 'Referral', values: [9, 8, 11, 12, 10, 14, 15, 17, 16, 19, 18, 21] },
+        { name: 'Display', values: [6, 7, 9, 8, 10, 9, 12, 11, 13, 12, 14, 16] },
+        { name: 'Affiliate', values: [4, 5, 5, 6, 7, 6, 8, 9, 8, 10, 11, 10] },
+        { name: 'Other', values: [3, 3, 4, 4, 3, 5, 5, 6, 5, 6, 7, 7] }
+    ],
+    kpis: [
+        { label: 'Revenue', value: '$48.2k', delta: 12.5 },
+        { label: 'Active Users', value: '8,931', delta: 4.1 },
+        { label: 'Conversion', value: '3.8%', delta: -0.6 }
+    ],
+    projects: [
+        { name: 'Website Redesign', owner: 'A. Moreno', status: 'success', label: 'Shipped', progress: 100 },
+        { name: 'Mobile Onboarding', owner: 'K. Osei', status: 'warning', label: 'At Risk', progress: 64 },
+        { name: 'Billing Migration', owner: 'J. Lindqvist', status: 'error', label: 'Blocked', progress: 31 },
+        { name: 'Design Tokens', owner: 'R. Tanaka', status: 'success', label: 'On Track', progress: 82 },
+        { name: 'Analytics v2', owner: 'S. Haddad', status: 'warning', label: 'Review', progress: 57 },
+        { name: 'Help Center', owner: 'M. Novak', status: 'success', label: 'On Track', progress: 45 },
+        { name: 'API Docs', owner: 'L. Ferreira', status: 'error', label: 'Overdue', progress: 22 },
+        { name: 'Dark Mode', owner: 'P. Nair', status: 'success', label: 'On Track', progress: 73 }
+    ]
+};
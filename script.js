@@ -1,9 +1,103 @@
+import {
+    srgbToLinear, linearToSrgb, hexToOklab, hexToOklch, oklabToOklch, oklchToHex, deltaEOK
+} from './color-space.js';
+import { createRandom, randomSeed } from './random.js';
+import {
+    MAX_OKLCH_CHROMA, SCALE_STEPS, SCALE_LIGHTNESS, generatePalette, regenerateColor, applyHarmonyRule,
+    harmonyToHex, hexToHarmonySpace, getColorScale, hslToHex, hexToHsl, rgbToHex, hexToRgb, hexToCmyk,
+    getContrastRatio, getContrastColor
+} from './palette-engine.js';
+import { CSS_NAMED_COLORS, formatColorName } from './named-colors.js';
+import { PaletteLibrary } from './palette-library.js';
+import { SAMPLE_DATA } from './sample-data.js';
+
+// Color-vision-deficiency simulation matrices, applied to linear RGB.
+// Protan/deutan/tritan from Machado, Oliveira & Fernandes (2009) at full severity.
+const VISION_MATRICES = {
+    protanopia: [
+        [0.152286, 1.052583, -0.204868],
+        [0.114503, 0.786281, 0.099216],
+        [-0.003882, -0.048116, 1.051998]
+    ],
+    deuteranopia: [
+        [0.367322, 0.860646, -0.227968],
+        [0.280085, 0.672501, 0.047413],
+        [-0.011820, 0.042940, 0.968881]
+    ],
+    tritanopia: [
+        [1.255528, -0.076749, -0.178779],
+        [-0.078411, 0.930809, 0.147602],
+        [0.004733, 0.691367, 0.303900]
+    ],
+    achromatopsia: [
+        [0.2126, 0.7152, 0.0722],
+        [0.2126, 0.7152, 0.0722],
+        [0.2126, 0.7152, 0.0722]
+    ]
+};
+
+// What an uploaded SVG may keep; every other element and attribute is dropped
+const SVG_ELEMENTS = new Set([
+    'svg', 'g', 'defs', 'symbol', 'use', 'title', 'desc', 'a', 'image', 'marker',
+    'path', 'rect', 'circle', 'ellipse', 'line', 'polyline', 'polygon', 'text', 'tspan',
+    'linearGradient', 'radialGradient', 'stop', 'pattern', 'clipPath', 'mask',
+    'filter', 'feBlend', 'feColorMatrix', 'feComponentTransfer', 'feComposite', 'feDropShadow', 'feFlood',
+    'feFuncR', 'feFuncG', 'feFuncB', 'feFuncA', 'feGaussianBlur', 'feMerge', 'feMergeNode', 'feMorphology',
+    'feOffset', 'feTurbulence'
+]);
+const SVG_ATTRIBUTES = new Set([
+    'xmlns', 'xmlns:xlink', 'version', 'id', 'class', 'style', 'href', 'xlink:href',
+    'viewBox', 'preserveAspectRatio', 'width', 'height', 'x', 'y', 'x1', 'y1', 'x2', 'y2',
+    'cx', 'cy', 'r', 'rx', 'ry', 'fx', 'fy', 'fr', 'd', 'points', 'transform', 'offset',
+    'fill', 'fill-opacity', 'fill-rule', 'stroke', 'stroke-width', 'stroke-opacity',
+    'stroke-linecap', 'stroke-linejoin', 'stroke-miterlimit', 'stroke-dasharray', 'stroke-dashoffset',
+    'opacity', 'color', 'display', 'visibility', 'overflow', 'clip-path', 'clip-rule', 'mask', 'filter',
+    'stop-color', 'stop-opacity', 'gradientUnits', 'gradientTransform', 'spreadMethod',
+    'patternUnits', 'patternContentUnits', 'patternTransform', 'clipPathUnits', 'maskUnits', 'maskContentUnits',
+    'filterUnits', 'primitiveUnits', 'in', 'in2', 'result', 'stdDeviation', 'dx', 'dy', 'mode', 'operator',
+    'k1', 'k2', 'k3', 'k4', 'type', 'values', 'tableValues', 'slope', 'intercept', 'amplitude', 'exponent',
+    'radius', 'baseFrequency', 'numOctaves', 'seed', 'stitchTiles', 'color-interpolation-filters',
+    'flood-color', 'flood-opacity',
+    'markerWidth', 'markerHeight', 'markerUnits', 'refX', 'refY', 'orient', 'marker-start', 'marker-mid', 'marker-end',
+    'font-family', 'font-size', 'font-weight', 'font-style', 'text-anchor', 'dominant-baseline', 'letter-spacing'
+]);
+
 class ColorApp {
     constructor() {
         this.config = {
             minColors: 3,
             maxColors: 8,
-            defaultMode: 'analogous'
+            defaultMode: 'analogous',
+            historyLimit: 50,
+            // WCAG 2.x minimum contrast ratios
+            wcag: { aa: 4.5, aaa: 7, aaLarge: 3, aaaLarge: 4.5 },
+            // OKLab distance below which two simulated swatches count as confusable
+            visionMinDeltaE: 0.06,
+            // OKLab distance below which matching A/B slots read as the same color
+            compareSameDeltaE: 0.02,
+            // OKLCH chroma reached at 100% saturation when harmonies run perceptually
+            maxOklchChroma: MAX_OKLCH_CHROMA,
+            // Tint/shade ramp: steps and the OK lightness at either end
+            scaleSteps: SCALE_STEPS,
+            scaleLightness: SCALE_LIGHTNESS,
+            // Channels a card can pin while the rest of it regenerates
+            pinChannels: { h: 'Hue', s: 'Saturation', l: 'Lightness' },
+            // Largest hue offset and saturation/lightness delta a custom rule slot may hold
+            ruleLimits: { h: 360, s: 100, l: 50 },
+            // OKLab distance that counts as "near" in library color search
+            libraryNearDeltaE: 0.08,
+            // Semantic theme roles: tinted neutrals per theme, status hues (OKLCH)
+            // and how far a status hue may lean toward the palette
+            themeRoles: {
+                neutrals: {
+                    'theme-dark': { background: { l: 0.18, c: 0.012 }, surface: { l: 0.24, c: 0.016 } },
+                    'theme-light': { background: { l: 0.985, c: 0.004 }, surface: { l: 0.955, c: 0.01 } }
+                },
+                status: { success: 145, warning: 75, error: 27 },
+                statusLightness: { 'theme-dark': 0.72, 'theme-light': 0.55 },
+                statusChroma: { min: 0.11, max: 0.19 },
+                maxHueShift: 12
+            }
         };
 
         const savedCount = parseInt(localStorage.getItem('colorCount'), 10) || 5;
@@ -11,13 +105,71 @@ class ColorApp {
             totalColors: Math.max(this.config.minColors, Math.min(this.config.maxColors, savedCount)),
             colors: [],
             locked: [],
+            pins: [],
             mode: 'analogous',
+            seed: randomSeed(),
+            vision: 'none',
+            perceptual: localStorage.getItem('perceptual') === 'true',
             theme: localStorage.getItem('theme') || 'theme-dark'
         };
 
         // Initialize state arrays based on totalColors
         this.state.colors = new Array(this.state.totalColors).fill('#000000');
         this.state.locked = new Array(this.state.totalColors).fill(false);
+        this.state.pins = new Array(this.state.totalColors).fill('');
+
+        // Seeded generator driving all palette randomness
+        this.random = createRandom(this.state.seed);
+
+        // Undo/Redo stacks of state snapshots
+        this.history = { undo: [], redo: [] };
+
+        // Active format in the export panel
+        this.exportFormat = 'css';
+
+        // Colors parsed in the import panel, awaiting confirmation
+        this.importColors = [];
+
+        // Card currently open in the color editor popover
+        this.editorIndex = null;
+
+        // Card being dragged to a new slot (pointer reordering)
+        this.cardDrag = null;
+
+        // Role -> palette slot overrides; roles left out are derived automatically
+        this.roleAssignments = JSON.parse(localStorage.getItem('roleAssignments') || '{}');
+        this.themeRoles = {};
+
+        // Named colors for nearest-name labels (one entry per hex) and the user's brand swatches
+        this.colorNames = this.buildNameIndex(Object.entries(CSS_NAMED_COLORS)
+            .map(([key, hex]) => ({ key, name: formatColorName(key), hex })));
+        this.brandSwatches = this.buildNameIndex(JSON.parse(localStorage.getItem('brandSwatches') || '[]'));
+
+        // Gradient builder settings; stops reference palette slots so they follow edits
+        this.gradient = { type: 'linear', angle: 90, space: 'oklab', stops: [], applied: false };
+
+        // User-defined harmony rules and the one open in the rule editor
+        this.customHarmonies = this.loadCustomHarmonies();
+        this.harmonyDraft = null;
+
+        // Sanitized illustration for the current source, and the slot count it was last clustered for
+        this.svgCache = { source: null, doc: null, count: 0 };
+
+        // Palette pinned as "A" for side-by-side comparison (a state snapshot), and its roles
+        this.comparison = null;
+        this.comparisonRoles = {};
+
+        // Bumped whenever preview markup is rebuilt; the comparison pane re-copies
+        // the template only when this or the active template changes
+        this.previewVersion = 0;
+        this.comparisonCopy = null;
+
+        // Active Interface Preview template
+        this.previewTemplate = localStorage.getItem('previewTemplate') || 'landing';
+
+        // Saved palettes (IndexedDB) and the last loaded listing
+        this.library = new PaletteLibrary();
+        this.libraryEntries = [];
 
         this.dom = {
             root: document.documentElement,
@@ -25,12 +177,120 @@ class ColorApp {
             paletteContainer: document.getElementById('palette-container'),
             generateBtn: document.getElementById('generate-btn'),
             harmonySelect: document.getElementById('harmony-select'),
+            harmonyRulesBtn: document.getElementById('harmony-rules-btn'),
+            harmonyModal: document.getElementById('harmony-modal'),
+            harmonyRuleList: document.getElementById('harmony-rule-list'),
+            harmonyForm: document.getElementById('harmony-form'),
+            harmonyPreview: document.getElementById('harmony-preview'),
+            harmonySlots: document.getElementById('harmony-slots'),
+            seedInput: document.getElementById('seed-input'),
             colorCountInput: document.getElementById('color-count'),
             themeToggle: document.getElementById('theme-toggle'),
+            undoBtn: document.getElementById('undo-btn'),
+            redoBtn: document.getElementById('redo-btn'),
+            exportToggle: document.getElementById('export-toggle'),
+            exportModal: document.getElementById('export-modal'),
+            exportFormats: document.getElementById('export-formats'),
+            exportOutput: document.getElementById('export-output'),
+            exportCopyBtn: document.getElementById('export-copy'),
+            exportDownloadBtn: document.getElementById('export-download'),
+            illustrationSize: document.getElementById('illustration-size'),
+            exportSvgBtn: document.getElementById('export-svg'),
+            exportPngBtn: document.getElementById('export-png'),
+            importToggle: document.getElementById('import-toggle'),
+            importModal: document.getElementById('import-modal'),
+            importText: document.getElementById('import-text'),
+            importDrop: document.getElementById('import-drop'),
+            importFile: document.getElementById('import-file'),
+            importPreview: document.getElementById('import-preview'),
+            importApplyBtn: document.getElementById('import-apply'),
+            perceptualToggle: document.getElementById('perceptual-toggle'),
+            visionSelect: document.getElementById('vision-select'),
+            visionMatrix: document.getElementById('vision-matrix'),
+            visionWarning: document.getElementById('vision-warning'),
+            svgContainer: document.getElementById('svg-container'),
+            svgUpload: document.getElementById('svg-upload'),
+            svgResetBtn: document.getElementById('svg-reset'),
+            colorEditor: document.getElementById('color-editor'),
+            editorSwatch: document.getElementById('editor-swatch'),
+            editorTitle: document.getElementById('editor-title'),
+            eyedropperBtn: document.getElementById('eyedropper-btn'),
+            libraryToggle: document.getElementById('library-toggle'),
+            libraryModal: document.getElementById('library-modal'),
+            librarySaveForm: document.getElementById('library-save-form'),
+            libraryCollections: document.getElementById('library-collections'),
+            librarySearch: document.getElementById('library-search'),
+            libraryFilter: document.getElementById('library-filter'),
+            libraryList: document.getElementById('library-list'),
+            libraryBackupBtn: document.getElementById('library-backup'),
+            libraryRestore: document.getElementById('library-restore'),
+            namesToggle: document.getElementById('names-toggle'),
+            namesModal: document.getElementById('names-modal'),
+            namesTable: document.getElementById('names-table'),
+            nameSearch: document.getElementById('name-search'),
+            nameTarget: document.getElementById('name-target'),
+            nameResults: document.getElementById('name-results'),
+            brandSwatchesInput: document.getElementById('brand-swatches'),
+            brandSaveBtn: document.getElementById('brand-save'),
+            gradientToggle: document.getElementById('gradient-toggle'),
+            gradientModal: document.getElementById('gradient-modal'),
+            gradientPreview: document.getElementById('gradient-preview'),
+            gradientTypes: document.getElementById('gradient-types'),
+            gradientSpace: document.getElementById('gradient-space'),
+            gradientAngleGroup: document.getElementById('gradient-angle-group'),
+            gradientAngle: document.getElementById('gradient-angle'),
+            gradientAngleValue: document.getElementById('gradient-angle-value'),
+            gradientStops: document.getElementById('gradient-stops'),
+            gradientOutput: document.getElementById('gradient-output'),
+            gradientApplyBtn: document.getElementById('gradient-apply'),
+            gradientCopyBtn: document.getElementById('gradient-copy'),
+            previewHero: document.getElementById('preview-hero'),
+            rolesToggle: document.getElementById('roles-toggle'),
+            rolesModal: document.getElementById('roles-modal'),
+            roleList: document.getElementById('role-list'),
+            rolesCopyBtn: document.getElementById('roles-copy'),
+            sheetToggle: document.getElementById('sheet-toggle'),
+            sheetModal: document.getElementById('sheet-modal'),
+            paletteSheet: document.getElementById('palette-sheet'),
+            sheetPrintBtn: document.getElementById('sheet-print'),
+            sheetPngBtn: document.getElementById('sheet-png'),
+            contrastToggle: document.getElementById('contrast-toggle'),
+            contrastModal: document.getElementById('contrast-modal'),
+            contrastSummary: document.getElementById('contrast-summary'),
+            contrastMatrix: document.getElementById('contrast-matrix'),
             chartArea: document.getElementById('chart-area'),
+            templateTabs: document.getElementById('template-tabs'),
+            previewTemplates: document.querySelectorAll('.preview-template'),
+            kpiRow: document.getElementById('kpi-row'),
+            lineChart: document.getElementById('line-chart'),
+            areaChart: document.getElementById('area-chart'),
+            pieChart: document.getElementById('pie-chart'),
+            pieLegend: document.getElementById('pie-legend'),
+            previewForm: document.getElementById('preview-form'),
+            phoneList: document.getElementById('phone-list'),
+            dataTableBody: document.getElementById('data-table-body'),
+            scaleToggle: document.getElementById('scale-toggle'),
+            sortHueBtn: document.getElementById('sort-hue-btn'),
+            sortLightnessBtn: document.getElementById('sort-lightness-btn'),
+            liveRegion: document.getElementById('live-region'),
+            compareBtn: document.getElementById('compare-btn'),
+            comparePanel: document.getElementById('compare-panel'),
+            compareSummary: document.getElementById('compare-summary'),
+            compareTableBody: document.getElementById('compare-table-body'),
+            compareRepin: document.getElementById('compare-repin'),
+            compareSwap: document.getElementById('compare-swap'),
+            compareClose: document.getElementById('compare-close'),
+            compareSplit: document.getElementById('compare-split'),
+            comparePane: document.getElementById('compare-pane'),
             colorCards: [], // Will be populated dynamically
         };
 
+        // Custom rules must be selectable before a shared mode is validated
+        this.renderHarmonyOptions();
+
+        // Restore a shared palette (colors, locks, mode, count) from the URL hash
+        this.restoredFromURL = this.applySharedState(this.parseStateHash(window.location.hash));
+
         this.init();
     }
 
@@ -43,10 +303,19 @@ class ColorApp {
         if (this.dom.colorCountInput) {
             this.dom.colorCountInput.value = this.state.totalColors;
         }
+        this.dom.harmonySelect.value = this.state.mode;
+        this.dom.seedInput.value = this.state.seed;
+        this.dom.perceptualToggle.checked = this.state.perceptual;
 
         this.renderCards();
         this.bindEvents();
-        this.generatePalette();
+        this.setPreviewTemplate(this.previewTemplate);
+        if (this.restoredFromURL) {
+            this.updateUI();
+        } else {
+            this.generatePalette({ pushURL: false, record: false });
+        }
+        this.updateHistoryButtons();
         this.createToastContainer();
         this.loadSVG(); // Load the dynamic SVG
     }
@@ -57,24 +326,46 @@ class ColorApp {
         this.dom.root.style.setProperty('--total-colors', this.state.totalColors);
 
         for (let i = 0; i < this.state.totalColors; i++) {
+            const slot = `C${i + 1}`;
+            const pinButtons = Object.entries(this.config.pinChannels).map(([channel, label]) => `
+                <button class="pin-btn" data-pin="${channel}" title="Pin ${label} (Shift-click: this ${label.toLowerCase()} on every card)"
+                    aria-label="Pin ${slot} ${label}" aria-pressed="false">${channel.toUpperCase()}</button>
+            `).join('');
+
+            // Cards are focusable groups; the label (name, hex, lock state) is kept current by updateSingleCardUI
             const card = document.createElement('div');
             card.className = 'color-card';
             card.dataset.index = i;
+            card.tabIndex = 0;
+            card.setAttribute('role', 'group');
+            card.setAttribute('aria-describedby', 'palette-help');
             card.innerHTML = `
                 <div class="color-swatch-area">
                     <div class="color-overlay">
-                        <button class="action-btn" title="Lock Color">
-                            <span class="material-icons-round">lock_open</span>
+                        <button class="action-btn" data-action="lock" title="Lock Color (L)" aria-label="Lock ${slot}" aria-pressed="false">
+                            <span class="material-icons-round" aria-hidden="true">lock_open</span>
+                        </button>
+                        <div class="pin-group">${pinButtons}</div>
+                        <button class="action-btn" data-action="refresh" title="Refresh This Color (R)" aria-label="Refresh ${slot}">
+                            <span class="material-icons-round" aria-hidden="true">refresh</span>
                         </button>
-                        <button class="action-btn" title="Refresh This Color">
-                            <span class="material-icons-round">refresh</span>
+                        <button class="action-btn" data-action="edit" title="Edit Color" aria-label="Edit ${slot}">
+                            <span class="material-icons-round" aria-hidden="true">tune</span>
                         </button>
                     </div>
                 </div>
+                <div class="color-scale"></div>
                 <div class="color-details">
-                    <input type="text" class="hex-input" spellcheck="false" maxlength="7" title="Edit HEX">
-                    <button class="copy-btn" title="Copy HEX">
-                        <span class="material-icons-round">content_copy</span>
+                    <div class="color-label">
+                        <input type="text" class="hex-input" spellcheck="false" title="Edit HEX, rgb(), hsl() or a color name"
+                            aria-label="${slot} color value">
+                        <span class="color-name"></span>
+                    </div>
+                    <button class="drag-handle" title="Drag to Reorder" aria-label="Reorder ${slot}, use arrow keys to move">
+                        <span class="material-icons-round" aria-hidden="true">drag_indicator</span>
+                    </button>
+                    <button class="copy-btn" data-action="copy" title="Copy HEX (C)" aria-label="Copy ${slot} HEX">
+                        <span class="material-icons-round" aria-hidden="true">content_copy</span>
                     </button>
                 </div>
             `;
@@ -96,150 +387,282 @@ class ColorApp {
                 this.dom.chartArea.appendChild(bar);
             }
         }
+
+        // Preview templates with one series per slot
+        this.renderPreviewTemplates();
+
+        // An applied gradient may reference slots that no longer exist
+        if (this.gradient.applied) this.applyHeroGradient();
+
+        // Illustration clusters follow the slot count
+        this.renderIllustration();
+
+        // The comparison pane holds a copy of the templates just rebuilt
+        if (this.comparison) this.renderComparison();
+    }
+
+    /* --- Preview Templates --- */
+    setPreviewTemplate(template) {
+        if (!this.dom.templateTabs.querySelector(`[data-template="${template}"]`)) {
+            template = 'landing';
+        }
+        this.previewTemplate = template;
+        localStorage.setItem('previewTemplate', template);
+
+        this.dom.templateTabs.querySelectorAll('[data-template]').forEach(tab => {
+            const active = tab.dataset.template === template;
+            tab.classList.toggle('active', active);
+            tab.setAttribute('aria-selected', active);
+        });
+        this.dom.previewTemplates.forEach(panel => {
+            panel.hidden = panel.dataset.template !== template;
+        });
+        this.renderComparison();
+    }
+
+    renderPreviewTemplates() {
+        const { months, kpis, projects } = SAMPLE_DATA;
+        const series = SAMPLE_DATA.series.slice(0, this.state.totalColors);
+        const slot = i => `var(--c-${i + 1})`;
+        const interactive = (i, className) =>
+            `class="${className ? `${className} ` : ''}color-interactive" data-color-index="${i}"`;
+
+        // Charts share a 300x120 viewBox stretched to the panel
+        const width = 300;
+        const height = 120;
+        const pad = 8;
+        const x = j => ((j / (months.length - 1)) * width).toFixed(1);
+        const y = (value, max) => (height - pad - (value / max) * (height - pad * 2)).toFixed(1);
+        const gridLines = [0.25, 0.5, 0.75].map(t => `
+            <line class="grid-line" x1="0" x2="${width}" y1="${pad + t * (height - pad * 2)}" y2="${pad + t * (height - pad * 2)}" />
+        `).join('');
+
+        // 1. KPI tiles
+        this.dom.kpiRow.innerHTML = kpis.map(kpi => `
+            <div class="glass-panel kpi-tile">
+                <span class="kpi-label">${kpi.label}</span>
+                <strong class="kpi-value">${kpi.value}</strong>
+                <span class="kpi-delta color-interactive" data-role="${kpi.delta >= 0 ? 'success' : 'error'}">
+                    ${kpi.delta >= 0 ? '+' : ''}${kpi.delta}%
+                </span>
+            </div>
+        `).join('');
+
+        // 2. Line chart (first three series)
+        const lines = series.slice(0, 3);
+        const lineMax = Math.max(...lines.flatMap(s => s.values));
+        this.dom.lineChart.innerHTML = gridLines + lines.map((s, i) => `
+            <polyline ${interactive(i)} style="stroke: ${slot(i)}"
+                points="${s.values.map((v, j) => `${x(j)},${y(v, lineMax)}`).join(' ')}" />
+        `).join('');
+
+        // 3. Stacked area chart (every slot)
+        const totals = months.map((_, j) => series.reduce((sum, s) => sum + s.values[j], 0));
+        const areaMax = Math.max(...totals);
+        let floor = months.map(() => 0);
+        this.dom.areaChart.innerHTML = gridLines + series.map((s, i) => {
+            const top = floor.map((v, j) => v + s.values[j]);
+            const points = [
+                ...top.map((v, j) => `${x(j)},${y(v, areaMax)}`),
+                ...floor.map((v, j) => `${x(j)},${y(v, areaMax)}`).reverse()
+            ];
+            floor = top;
+            return `<polygon ${interactive(i)} style="fill: ${slot(i)}" points="${points.join(' ')}" />`;
+        }).join('');
+
+        // 4. Donut chart: dashes on a circle with a circumference of 100
+        const shares = series.map(s => s.values.reduce((sum, v) => sum + v, 0));
+        const total = shares.reduce((sum, v) => sum + v, 0);
+        let offset = 25; // start at 12 o'clock
+        this.dom.pieChart.innerHTML = shares.map((share, i) => {
+            const pct = (share / total) * 100;
+            const arc = `
+                <circle ${interactive(i)} cx="21" cy="21" r="15.915" style="stroke: ${slot(i)}"
+                    stroke-dasharray="${pct.toFixed(2)} ${(100 - pct).toFixed(2)}" stroke-dashoffset="${offset.toFixed(2)}" />
+            `;
+            offset -= pct;
+            return arc;
+        }).join('');
+        this.dom.pieLegend.innerHTML = series.map((s, i) => `
+            <li><span class="legend-dot" style="background: ${slot(i)}"></span>${s.name}
+                <span>${Math.round((shares[i] / total) * 100)}%</span></li>
+        `).join('');
+
+        // 5. Mobile list
+        this.dom.phoneList.innerHTML = series.slice(0, 4).map((s, i) => `
+            <li>
+                <span ${interactive(i, 'phone-icon')} style="background: ${slot(i)}; color: var(--text-c-${i + 1})">
+                    ${s.name.charAt(0)}
+                </span>
+                <span class="phone-item-text"><strong>${s.name}</strong><small>${s.values[s.values.length - 1]} visits today</small></span>
+                <span class="material-icons-round">chevron_right</span>
+            </li>
+        `).join('');
+
+        // 6. Data table
+        this.dom.dataTableBody.innerHTML = projects.slice(0, this.state.totalColors).map((project, i) => `
+            <tr>
+                <td><span class="legend-dot" style="background: ${slot(i)}"></span>${project.name}</td>
+                <td>${project.owner}</td>
+                <td><span class="status-pill color-interactive" data-role="${project.status}">${project.label}</span></td>
+                <td>
+                    <div class="progress-track">
+                        <div ${interactive(i, 'progress-fill')} style="width: ${project.progress}%; background: ${slot(i)}"></div>
+                    </div>
+                </td>
+            </tr>
+        `).join('');
+        this.previewVersion++;
+    }
+
+    validatePreviewField(input) {
+        const field = input.closest('.field');
+        if (!field) return;
+
+        // Passwords that pass but are short of 12 characters only get a warning
+        const valid = input.checkValidity();
+        const weak = valid && input.type === 'password' && input.value.length < 12;
+        field.classList.toggle('is-valid', valid && !weak);
+        field.classList.toggle('is-warning', weak);
+        field.classList.toggle('is-invalid', !valid);
+
+        const message = field.querySelector('.field-message');
+        if (message) {
+            message.textContent = !valid
+                ? input.validationMessage || 'Please check this field.'
+                : weak ? 'Strong enough, but 12+ characters is safer.' : 'Looks good.';
+        }
     }
 
     async loadSVG() {
         try {
             const response = await fetch('Illustration.svg');
             if (response.ok) {
-                const text = await response.text();
-                // Parse TEXT to DOM
-                const parser = new DOMParser();
-                const doc = parser.parseFromString(text, 'image/svg+xml');
-
-                this.processSVGDOM(doc);
-
-                const container = document.getElementById('svg-container');
-                if (container) {
-                    // Re-serialize
-                    container.innerHTML = doc.documentElement.outerHTML;
-                }
+                this.svgSource = await response.text();
+                this.renderIllustration();
             }
         } catch (e) {
             console.error('Failed to load SVG', e);
         }
     }
 
-    processSVGDOM(doc) {
-        const replacements = {
-            // --- Dark / Outlines / Shadows (text-primary) ---
-            '#5B4B55': 'var(--text-primary)',
-            '#373639': 'var(--text-primary)',
-            '#3E383F': 'var(--text-primary)',
-            '#2D2C31': 'var(--text-primary)',
-            '#323035': 'var(--text-primary)',
-            '#333534': 'var(--text-primary)',
-            '#5B4A50': 'var(--text-primary)',
-            '#544750': 'var(--text-primary)',
-            '#373330': 'var(--text-primary)',
-            '#53434E': 'var(--text-primary)',
-
-            // --- CAR & Strong Accents (Color 1 - Primary) ---
-            '#F7B853': 'var(--c-1)',
-            '#F9C266': 'var(--c-1)',
-            '#D98A3D': 'var(--c-1)',
-            '#F7BF60': 'var(--c-1)',
-            '#F8BE5C': 'var(--c-1)',
-            '#F8BD61': 'var(--c-1)',
-            '#F9BA56': 'var(--c-1)',
-            '#F9C97F': 'var(--c-1)',
-            '#F8C87A': 'var(--c-1)',
-            '#BE8F62': 'var(--c-1)',
-
-            // --- Skin / Backgrounds (Color 2 - Secondary/Light) ---
-            '#FAECD1': 'var(--c-2)',
-            '#FEE8C0': 'var(--c-2)',
-            '#FDEFD6': 'var(--c-2)',
-            '#FDE7B5': 'var(--c-2)',
-            '#F4DF9E': 'var(--c-2)',
-            '#FADEAF': 'var(--c-2)',
-            '#FADDA6': 'var(--c-2)',
-            '#FEE9C1': 'var(--c-2)',
-            '#F7D997': 'var(--c-2)',
-            '#F4D69A': 'var(--c-2)',
-            '#F7E7C6': 'var(--c-2)',
-            '#D9863D': 'var(--c-2)',
-            '#F5B25C': 'var(--c-2)',
-            '#B5793B': 'var(--c-2)',
-            '#B6783F': 'var(--c-2)',
-
-            // --- Earth Tones / Buildings (Color 3) ---
-            '#DD8946': 'var(--c-3)',
-            '#CC8159': 'var(--c-3)',
-            '#C57E4A': 'var(--c-3)',
-            '#E58943': 'var(--c-3)',
-            '#9D592D': 'var(--c-3)',
-            '#DAB48D': 'var(--c-3)',
-            '#EFBA6C': 'var(--c-3)',
-            '#CD7E45': 'var(--c-3)',
-            '#9D6C4B': 'var(--c-3)',
-            '#EDCA8B': 'var(--c-3)',
-            '#EFC887': 'var(--c-3)',
-            '#726670': 'var(--c-3)',
-            '#887E72': 'var(--c-3)',
-            '#DB8C3D': 'var(--c-3)',
-            '#AF7135': 'var(--c-4)',
-
-            // --- SHIRTS / People Accents (Color 4) ---
-            '#D74D42': 'var(--c-4)',
-            '#9A3B39': 'var(--c-4)',
-            '#DC9F60': 'var(--c-4)',
-            '#EDC37B': 'var(--c-4)',
-            '#F8DCA5': 'var(--c-4)',
-            '#FBDEA9': 'var(--c-4)',
-            '#AB7338': 'var(--c-4)',
-
-            // --- Trees / Nature / Sky (Color 5) ---
-            '#6EAFC7': 'var(--c-5)',
-            '#5FADCA': 'var(--c-5)',
-            '#42707F': 'var(--c-5)',
-            '#84A4B1': 'var(--c-5)',
-            '#6EB0C6': 'var(--c-5)',
-            '#457684': 'var(--c-5)',
-            '#4A7480': 'var(--c-5)',
-
-            // Misc
-            'white': 'transparent'
-        };
-
-        // Normalize Hex for matching (helper)
-        const normalize = (c) => c ? c.toUpperCase() : '';
-
-        // Walk all elements
-        const allElements = doc.querySelectorAll('*');
-        allElements.forEach(el => {
-            // Check fill
-            const fill = normalize(el.getAttribute('fill'));
-            if (replacements[fill]) {
-                const variable = replacements[fill];
-                el.style.fill = variable; // Use style for precedence
-                el.setAttribute('fill', variable);
-
-                // Add interaction if it's a palette color
-                if (variable.includes('var(--c-')) {
-                    const indexVal = variable.replace('var(--c-', '').replace(')', '');
-                    const index = parseInt(indexVal, 10) - 1; // 1-based var to 0-based index
-
-                    el.classList.add('color-interactive');
-                    el.setAttribute('data-color-index', index);
-                }
+    async handleSVGUpload(file) {
+        try {
+            const text = await file.text();
+            const doc = new DOMParser().parseFromString(text, 'image/svg+xml');
+            if (doc.querySelector('parsererror') || doc.documentElement.tagName.toLowerCase() !== 'svg') {
+                this.showToast('That file is not a valid SVG');
+                return;
             }
+            this.svgSource = text;
+            this.renderIllustration();
+            this.dom.svgResetBtn.hidden = false;
+        } catch (e) {
+            console.error('Failed to load the uploaded SVG', e);
+            this.showToast('Could not load that SVG');
+        }
+    }
+
+    getSanitizedSVG() {
+        // Parsing and sanitizing happen once per source; callers get a copy they may modify
+        if (this.svgCache.source !== this.svgSource) {
+            const doc = new DOMParser().parseFromString(this.svgSource, 'image/svg+xml');
+            this.sanitizeSVG(doc);
+            this.svgCache = { source: this.svgSource, doc, count: 0 };
+        }
+        return this.svgCache.doc.cloneNode(true);
+    }
 
-            // Check stroke
-            const stroke = normalize(el.getAttribute('stroke'));
-            if (replacements[stroke]) {
-                const variable = replacements[stroke];
-                el.style.stroke = variable;
-                el.setAttribute('stroke', variable);
+    renderIllustration() {
+        if (!this.svgSource || !this.dom.svgContainer) return;
 
-                // Add interaction
-                if (variable.includes('var(--c-')) {
-                    const indexVal = variable.replace('var(--c-', '').replace(')', '');
-                    const index = parseInt(indexVal, 10) - 1;
+        // The markup only references var(--c-N), so recoloring is free; it is
+        // re-clustered only for a new source or slot count
+        if (this.svgCache.source === this.svgSource && this.svgCache.count === this.state.totalColors) return;
+
+        const doc = this.getSanitizedSVG();
+        this.processSVGDOM(doc);
+        this.svgCache.count = this.state.totalColors;
+
+        // Adopt the sanitized nodes directly; re-parsing markup as HTML could revive what was stripped
+        this.dom.svgContainer.replaceChildren(document.importNode(doc.documentElement, true));
+        this.previewVersion++;
+        this.renderComparison();
+    }
+
+    sanitizeSVG(doc) {
+        // Uploaded artwork is injected into the page, so only known-safe SVG survives
+        // 1. Processing instructions, comments and CDATA
+        const filter = NodeFilter.SHOW_PROCESSING_INSTRUCTION | NodeFilter.SHOW_COMMENT | NodeFilter.SHOW_CDATA_SECTION;
+        const iterator = doc.createNodeIterator(doc, filter);
+        const stray = [];
+        for (let node = iterator.nextNode(); node; node = iterator.nextNode()) stray.push(node);
+        stray.forEach(node => node.remove());
+
+        // 2. Elements outside the allowlist, with everything inside them
+        const svgNamespace = 'http://www.w3.org/2000/svg';
+        doc.documentElement.querySelectorAll('*').forEach(el => {
+            if (el.namespaceURI !== svgNamespace || !SVG_ELEMENTS.has(el.localName)) el.remove();
+        });
+
+        // 3. Attributes outside the allowlist, links anywhere but this document or an
+        //    embedded bitmap, and url() references to other documents
+        doc.querySelectorAll('*').forEach(el => {
+            Array.from(el.attributes).forEach(attr => {
+                const value = attr.value.replace(/[\t\r\n]/g, '').trim();
+                const isLink = attr.name === 'href' || attr.name === 'xlink:href';
+                const safe = SVG_ATTRIBUTES.has(attr.name)
+                    && (!isLink || /^#|^data:image\/(png|jpeg|gif)[;,]/i.test(value))
+                    && !/url\(\s*['"]?(?!#)/i.test(value)
+                    && !/@import|expression\(/i.test(value);
+                if (!safe) el.removeAttribute(attr.name);
+            });
+        });
+    }
 
-                    el.classList.add('color-interactive');
-                    el.setAttribute('data-color-index', index);
+    collectSVGColors(doc) {
+        const properties = ['fill', 'stroke'];
+        const targets = [];
+        const weights = new Map();
+
+        // Collect every fill/stroke color, from attributes and inline styles
+        doc.querySelectorAll('*').forEach(el => {
+            properties.forEach(prop => {
+                const raw = (el.style?.getPropertyValue(prop) || el.getAttribute(prop) || '').trim();
+
+                // Misc: white backdrop shapes let the panel show through
+                if (raw === 'white') {
+                    el.style.setProperty(prop, 'transparent');
+                    el.setAttribute(prop, 'transparent');
+                    return;
                 }
+
+                const hex = this.parseColorValue(raw) || CSS_NAMED_COLORS[raw.toLowerCase()];
+                if (!hex) return;
+                targets.push({ el, prop, hex });
+                weights.set(hex, (weights.get(hex) || 0) + 1);
+            });
+        });
+        return { targets, weights };
+    }
+
+    processSVGDOM(doc) {
+        const { targets, weights } = this.collectSVGColors(doc);
+        this.svgColorMap = this.buildSVGColorMap(weights);
+
+        targets.forEach(({ el, prop, hex }) => {
+            const mapping = this.svgColorMap.get(hex);
+            const variable = mapping.slot === null ? 'var(--text-primary)' : `var(--c-${mapping.slot + 1})`;
+
+            // Plain variable first; browsers with relative color syntax also get the shading offsets
+            el.setAttribute(prop, variable);
+            el.style.setProperty(prop, variable);
+            el.style.setProperty(prop, this.getRelativeSVGColor(variable, mapping));
+
+            // Add interaction if it's a palette color
+            if (mapping.slot !== null) {
+                el.classList.add('color-interactive');
+                el.setAttribute('data-color-index', mapping.slot);
             }
         });
 
@@ -249,16 +672,397 @@ class ColorApp {
         svg.setAttribute('height', '100%');
     }
 
+    buildSVGColorMap(weights) {
+        const entries = Array.from(weights, ([hex, weight]) => ({ hex, weight, lab: hexToOklab(hex) }));
+
+        // Near-black neutrals are outlines and shadows: they follow the theme text color
+        const isInk = e => e.lab.l < 0.32 && Math.hypot(e.lab.a, e.lab.b) < 0.05;
+        const ink = entries.filter(isInk);
+        const clusters = this.clusterColors(entries.filter(e => !isInk(e)), this.state.totalColors)
+            .sort((a, b) => b.weight - a.weight);
+
+        const map = new Map();
+        const assign = (cluster, slot) => {
+            const center = oklabToOklch(cluster.center);
+            cluster.members.forEach(member => {
+                const color = oklabToOklch(member.lab);
+
+                // Keep each member's shading relative to its cluster
+                const hueShift = ((color.h - center.h + 540) % 360) - 180;
+                map.set(member.hex, {
+                    slot,
+                    dl: color.l - center.l,
+                    cr: center.c > 0.01 ? Math.min(color.c / center.c, 2.5) : 1,
+                    dh: color.c > 0.02 && center.c > 0.02 ? hueShift : 0
+                });
+            });
+        };
+
+        clusters.forEach((cluster, i) => assign(cluster, i));
+        if (ink.length) {
+            assign({ center: this.getWeightedLab(ink), members: ink }, null);
+        }
+        return map;
+    }
+
+    clusterColors(entries, count) {
+        if (!entries.length) return [];
+
+        // Deterministic seeding: heaviest color first, then the color that is
+        // farthest (weighted) from every center picked so far
+        let centers = [entries.reduce((a, b) => (b.weight > a.weight ? b : a)).lab];
+        while (centers.length < Math.min(count, entries.length)) {
+            let best = null;
+            let bestScore = 0;
+            entries.forEach(e => {
+                const d = Math.min(...centers.map(c => deltaEOK(c, e.lab)));
+                const score = d * d * e.weight;
+                if (score > bestScore) {
+                    bestScore = score;
+                    best = e;
+                }
+            });
+            if (!best) break;
+            centers.push(best.lab);
+        }
+
+        // Weighted k-means in OKLab
+        let assignment = [];
+        for (let iteration = 0; iteration < 12; iteration++) {
+            assignment = entries.map(e => {
+                const distances = centers.map(c => deltaEOK(c, e.lab));
+                return distances.indexOf(Math.min(...distances));
+            });
+            const next = centers.map((center, i) => {
+                const members = entries.filter((_, j) => assignment[j] === i);
+                return members.length ? this.getWeightedLab(members) : center;
+            });
+            const moved = next.some((c, i) => deltaEOK(c, centers[i]) > 1e-4);
+            centers = next;
+            if (!moved) break;
+        }
+
+        return centers
+            .map((center, i) => {
+                const members = entries.filter((_, j) => assignment[j] === i);
+                return { center, members, weight: members.reduce((sum, m) => sum + m.weight, 0) };
+            })
+            .filter(cluster => cluster.members.length);
+    }
+
+    getWeightedLab(entries) {
+        const total = entries.reduce((sum, e) => sum + e.weight, 0);
+        const mean = channel => entries.reduce((sum, e) => sum + e.lab[channel] * e.weight, 0) / total;
+        return { l: mean('l'), a: mean('a'), b: mean('b') };
+    }
+
+    getRelativeSVGColor(variable, { dl, cr, dh }) {
+        return `oklch(from ${variable} calc(l + ${dl.toFixed(3)}) calc(c * ${cr.toFixed(3)}) calc(h + ${dh.toFixed(1)}))`;
+    }
+
+    /* --- Illustration Export --- */
+    resolveSVGColor(mapping) {
+        // Same math as getRelativeSVGColor, done here so exports need no CSS
+        const base = mapping.slot === null ? this.getThemeColors().text : this.state.colors[mapping.slot];
+        const { l, c, h } = hexToOklch(base);
+        return oklchToHex({ l: l + mapping.dl, c: c * mapping.cr, h: (h + mapping.dh + 360) % 360 });
+    }
+
+    getSVGSize(svg) {
+        const viewBox = (svg.getAttribute('viewBox') || '').split(/[\s,]+/).map(parseFloat);
+        if (viewBox.length === 4 && viewBox[2] > 0 && viewBox[3] > 0) {
+            return { width: viewBox[2], height: viewBox[3] };
+        }
+        return {
+            width: parseFloat(svg.getAttribute('width')) || 800,
+            height: parseFloat(svg.getAttribute('height')) || 600
+        };
+    }
+
+    buildResolvedSVG(width) {
+        const doc = this.getSanitizedSVG();
+
+        // Swap every mapped color for the hex it currently renders as
+        const { targets } = this.collectSVGColors(doc);
+        targets.forEach(({ el, prop, hex }) => {
+            const mapping = this.svgColorMap.get(hex);
+            if (!mapping) return;
+            const resolved = this.resolveSVGColor(mapping);
+            el.setAttribute(prop, resolved);
+            if (el.style.getPropertyValue(prop)) el.style.setProperty(prop, resolved);
+        });
+
+        const svg = doc.documentElement;
+        const size = this.getSVGSize(svg);
+        const scale = width ? width / size.width : 1;
+        svg.setAttribute('width', Math.round(size.width * scale));
+        svg.setAttribute('height', Math.round(size.height * scale));
+        if (!svg.getAttribute('viewBox')) {
+            svg.setAttribute('viewBox', `0 0 ${size.width} ${size.height}`);
+        }
+        return `<?xml version="1.0" encoding="UTF-8"?>\n${new XMLSerializer().serializeToString(svg)}`;
+    }
+
+    exportIllustrationSVG() {
+        if (!this.svgSource) return;
+        this.downloadFile('chromaflow-illustration.svg', this.buildResolvedSVG(), 'image/svg+xml');
+    }
+
+    async exportIllustrationPNG(width) {
+        if (!this.svgSource) return;
+
+        const svgText = this.buildResolvedSVG(width);
+        const url = URL.createObjectURL(new Blob([svgText], { type: 'image/svg+xml' }));
+        try {
+            const img = new Image();
+            img.src = url;
+            await img.decode();
+
+            const canvas = document.createElement('canvas');
+            canvas.width = img.naturalWidth || width;
+            canvas.height = img.naturalHeight || Math.round(width * 0.75);
+            canvas.getContext('2d').drawImage(img, 0, 0, canvas.width, canvas.height);
+
+            const blob = await new Promise(resolve => canvas.toBlob(resolve, 'image/png'));
+            this.downloadFile('chromaflow-illustration.png', blob);
+        } catch (e) {
+            console.error('Failed to rasterize SVG', e);
+            this.showToast('Could not render the PNG');
+        } finally {
+            URL.revokeObjectURL(url);
+        }
+    }
+
+    /* --- Palette Sheet --- */
+    getSheetData() {
+        // Every notation the sheet prints, one entry per slot
+        return {
+            mode: this.getModeName(this.state.mode),
+            seed: this.state.seed,
+            date: new Date().toLocaleDateString(),
+            colors: this.state.colors.map((hex, i) => {
+                const { r, g, b } = hexToRgb(hex);
+                const hsl = hexToHsl(hex);
+                const cmyk = hexToCmyk(hex);
+                return {
+                    label: `C${i + 1}`,
+                    hex,
+                    text: getContrastColor(hex),
+                    name: this.getColorName(hex).name,
+                    values: [
+                        ['HEX', hex],
+                        ['RGB', `${r}, ${g}, ${b}`],
+                        ['HSL', `${Math.round(hsl.h)}°, ${Math.round(hsl.s)}%, ${Math.round(hsl.l)}%`],
+                        ['CMYK', `${cmyk.c}%, ${cmyk.m}%, ${cmyk.y}%, ${cmyk.k}%`]
+                    ],
+                    notes: this.getContrastNotes(hex)
+                };
+            })
+        };
+    }
+
+    getContrastNotes(hex) {
+        // Best WCAG level reached by white and by dark text on the color
+        return [['White', '#ffffff'], ['Dark', '#0f1219']].map(([label, text]) => {
+            const ratio = getContrastRatio(hex, text);
+            const result = this.getWcagResult(ratio);
+            const level = result.aaa ? 'AAA' : result.aa ? 'AA' : result.aaLarge ? 'AA Large' : 'Fail';
+            return `${label} text ${ratio.toFixed(2)}:1 · ${level}`;
+        });
+    }
+
+    getIllustrationURL(width) {
+        if (!this.svgSource) return '';
+        return `data:image/svg+xml;charset=utf-8,${encodeURIComponent(this.buildResolvedSVG(width))}`;
+    }
+
+    renderPaletteSheet() {
+        const data = this.getSheetData();
+        const thumbnail = this.getIllustrationURL(480);
+
+        this.dom.paletteSheet.innerHTML = `
+            <header class="sheet-header">
+                <div>
+                    <h2>Color Palette</h2>
+                    <p>${this.escapeHTML(data.mode)} harmony · ${data.colors.length} colors · seed ${this.escapeHTML(data.seed)} · ${data.date}</p>
+                </div>
+                ${thumbnail ? `<img class="sheet-thumbnail" src="${thumbnail}" alt="Illustration in this palette">` : ''}
+            </header>
+            <div class="sheet-colors">
+                ${data.colors.map(color => `
+                    <section class="sheet-color">
+                        <div class="sheet-swatch" style="background: ${color.hex}; color: ${color.text}">
+                            <strong>${color.label}</strong>
+                            <span>${this.escapeHTML(color.name)}</span>
+                        </div>
+                        <dl class="sheet-values">
+                            ${color.values.map(([label, value]) => `<dt>${label}</dt><dd>${value}</dd>`).join('')}
+                        </dl>
+                        <ul class="sheet-notes">
+                            ${color.notes.map(note => `<li>${note}</li>`).join('')}
+                        </ul>
+                    </section>
+                `).join('')}
+            </div>
+            <footer class="sheet-footer">ChromaFlow · ${data.date}</footer>
+        `;
+    }
+
+    async exportSheetPNG() {
+        try {
+            const canvas = await this.drawPaletteSheet(this.getSheetData());
+            const blob = await new Promise(resolve => canvas.toBlob(resolve, 'image/png'));
+            if (!blob) throw new Error('Canvas produced no image');
+            this.downloadFile('chromaflow-palette-sheet.png', blob);
+        } catch (e) {
+            console.error('Failed to render the palette sheet', e);
+            this.showToast('Could not render the PNG');
+        }
+    }
+
+    async drawPaletteSheet(data) {
+        const styles = getComputedStyle(this.dom.body);
+        const fonts = {
+            heading: styles.getPropertyValue('--font-heading').trim() || 'sans-serif',
+            body: styles.getPropertyValue('--font-body').trim() || 'sans-serif'
+        };
+
+        // 1. Layout: header with thumbnail, then up to four color cards per row
+        const width = 1600;
+        const pad = 64;
+        const gap = 32;
+        const columns = Math.min(4, data.colors.length);
+        const rows = Math.ceil(data.colors.length / columns);
+        const cardWidth = (width - pad * 2 - gap * (columns - 1)) / columns;
+        const swatchHeight = 220;
+        const cardHeight = swatchHeight + 24 + data.colors[0].values.length * 34 + 16 + data.colors[0].notes.length * 28;
+        const headerHeight = 220;
+
+        const canvas = document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = pad * 2 + headerHeight + rows * cardHeight + (rows - 1) * gap + 40;
+        const ctx = canvas.getContext('2d');
+        ctx.fillStyle = '#ffffff';
+        ctx.fillRect(0, 0, canvas.width, canvas.height);
+
+        // 2. Header
+        ctx.fillStyle = '#111111';
+        ctx.font = `700 52px ${fonts.heading}`;
+        ctx.fillText('Color Palette', pad, pad + 60);
+        ctx.fillStyle = '#555555';
+        ctx.font = `400 26px ${fonts.body}`;
+        ctx.fillText(`${data.mode} harmony · ${data.colors.length} colors · seed ${data.seed} · ${data.date}`, pad, pad + 110);
+
+        const thumbnail = this.getIllustrationURL(480);
+        if (thumbnail) {
+            try {
+                const img = new Image();
+                img.src = thumbnail;
+                await img.decode();
+                const height = headerHeight - 40;
+                const thumbWidth = height * (img.naturalWidth / img.naturalHeight || 4 / 3);
+                ctx.drawImage(img, width - pad - thumbWidth, pad, thumbWidth, height);
+            } catch (e) {
+                console.error('Skipping the sheet illustration', e);
+            }
+        }
+
+        // 3. Color cards
+        data.colors.forEach((color, i) => {
+            const x = pad + (i % columns) * (cardWidth + gap);
+            let y = pad + headerHeight + Math.floor(i / columns) * (cardHeight + gap);
+
+            ctx.fillStyle = color.hex;
+            ctx.fillRect(x, y, cardWidth, swatchHeight);
+            ctx.fillStyle = color.text;
+            ctx.font = `700 28px ${fonts.heading}`;
+            ctx.fillText(color.label, x + 20, y + swatchHeight - 52);
+            ctx.font = `400 22px ${fonts.body}`;
+            ctx.fillText(color.name, x + 20, y + swatchHeight - 20, cardWidth - 40);
+
+            y += swatchHeight + 24;
+            color.values.forEach(([label, value]) => {
+                y += 34;
+                ctx.fillStyle = '#777777';
+                ctx.font = `700 18px ${fonts.body}`;
+                ctx.fillText(label, x, y);
+                ctx.fillStyle = '#111111';
+                ctx.font = '400 22px monospace';
+                ctx.fillText(value, x + 80, y, cardWidth - 80);
+            });
+
+            y += 16;
+            ctx.fillStyle = '#555555';
+            ctx.font = `400 18px ${fonts.body}`;
+            color.notes.forEach(note => {
+                y += 28;
+                ctx.fillText(note, x, y, cardWidth);
+            });
+        });
+
+        ctx.fillStyle = '#999999';
+        ctx.font = `400 18px ${fonts.body}`;
+        ctx.fillText(`ChromaFlow · ${data.date}`, pad, canvas.height - pad + 10);
+        return canvas;
+    }
+
     bindEvents() {
         // Generation
         this.dom.generateBtn.addEventListener('click', () => this.generatePalette());
 
         // Harmony Selection
         this.dom.harmonySelect.addEventListener('change', (e) => {
+            // Snapshot before the mode changes so Undo restores the old mode with its colors
+            this.recordHistory();
             this.state.mode = e.target.value;
+            this.generatePalette({ record: false });
+        });
+
+        // Custom Harmony Rules
+        this.dom.harmonyRulesBtn.addEventListener('click', () => this.openHarmonyEditor());
+        this.dom.harmonyModal.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-rule-action]');
+            if (button) this.handleHarmonyRuleAction(button.dataset.ruleAction, button);
+        });
+        this.dom.harmonyForm.addEventListener('input', (e) => {
+            const { slot, channel } = e.target.dataset;
+            if (!channel) return;
+            const value = parseFloat(e.target.value);
+            this.harmonyDraft.slots[slot][channel] = isNaN(value) ? 0 : value;
+            this.renderHarmonyPreview();
+        });
+        this.dom.harmonyForm.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.saveCustomHarmony();
+        });
+
+        // Seed Entry (reproduces the palette for the current mode and count)
+        this.dom.seedInput.addEventListener('change', (e) => {
+            const seed = e.target.value.trim();
+            if (seed) {
+                this.generatePalette({ seed });
+            } else {
+                e.target.value = this.state.seed;
+            }
+        });
+
+        // Perceptual (OKLCH) Harmonies
+        this.dom.perceptualToggle.addEventListener('change', (e) => {
+            this.state.perceptual = e.target.checked;
+            localStorage.setItem('perceptual', this.state.perceptual);
             this.generatePalette();
         });
 
+        // Scale View
+        this.dom.scaleToggle.addEventListener('click', () => {
+            const active = this.dom.paletteContainer.classList.toggle('show-scales');
+            this.dom.scaleToggle.classList.toggle('active', active);
+            this.dom.scaleToggle.setAttribute('aria-pressed', active);
+        });
+
+        // Color-Vision Simulation
+        this.dom.visionSelect.addEventListener('change', (e) => this.setVisionMode(e.target.value));
+
         // Color Count Adjustment
         this.dom.colorCountInput.addEventListener('change', (e) => {
             let val = parseInt(e.target.value, 10);
@@ -271,76 +1075,375 @@ class ColorApp {
             }
         });
 
+        // Back/Forward through previously generated palettes
+        window.addEventListener('popstate', () => this.restoreFromURL());
+
+        // Undo / Redo
+        this.dom.undoBtn.addEventListener('click', () => this.undo());
+        this.dom.redoBtn.addEventListener('click', () => this.redo());
+
+        // Preview Templates
+        this.dom.templateTabs.addEventListener('click', (e) => {
+            const tab = e.target.closest('[data-template]');
+            if (tab) this.setPreviewTemplate(tab.dataset.template);
+        });
+        this.dom.previewForm.addEventListener('input', (e) => this.validatePreviewField(e.target));
+        this.dom.previewForm.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.dom.previewForm.querySelectorAll('input[name]').forEach(input => this.validatePreviewField(input));
+        });
+
         // Theme Toggle
         this.dom.themeToggle.addEventListener('click', () => this.toggleTheme());
 
-        // Keyboard Shortcut (Spacebar)
+        // Modals (shared close handling)
+        document.addEventListener('click', (e) => {
+            if (e.target.closest('[data-close-modal]')) {
+                e.target.closest('dialog').close();
+            } else if (e.target.tagName === 'DIALOG') {
+                // The dialog's own padding also targets it; only clicks outside its box hit the backdrop
+                const box = e.target.getBoundingClientRect();
+                const inside = e.clientX >= box.left && e.clientX <= box.right
+                    && e.clientY >= box.top && e.clientY <= box.bottom;
+                if (!inside) e.target.close();
+            }
+        });
+
+        // Export Panel
+        this.dom.exportToggle.addEventListener('click', () => this.openExportPanel());
+        this.dom.exportFormats.addEventListener('click', (e) => {
+            const tab = e.target.closest('[data-format]');
+            if (tab) {
+                this.exportFormat = tab.dataset.format;
+                this.renderExportPanel();
+            }
+        });
+        this.dom.exportCopyBtn.addEventListener('click', () => {
+            const format = this.getExportFormats()[this.exportFormat];
+            this.copyToClipboard(format.build(), `${format.label} copied!`);
+        });
+        this.dom.exportDownloadBtn.addEventListener('click', () => {
+            const format = this.getExportFormats()[this.exportFormat];
+            this.downloadFile(`chromaflow-palette.${format.extension}`, format.build(), format.mimeType);
+        });
+
+        // Color Names
+        this.dom.namesToggle.addEventListener('click', () => {
+            this.dom.brandSwatchesInput.value = this.brandSwatches.map(s => `${s.name} ${s.hex}`).join('\n');
+            this.renderNamesPanel();
+            this.dom.namesModal.showModal();
+        });
+        this.dom.nameSearch.addEventListener('input', () => this.renderNameResults());
+        this.dom.nameResults.addEventListener('click', (e) => {
+            const result = e.target.closest('[data-hex]');
+            if (!result) return;
+            const target = this.dom.nameTarget.value;
+            if (target === 'copy') {
+                this.copyToClipboard(result.dataset.hex);
+            } else {
+                this.setSlotColor(parseInt(target, 10), result.dataset.hex);
+                this.renderNamesPanel();
+            }
+        });
+        this.dom.brandSaveBtn.addEventListener('click', () => this.saveBrandSwatches(this.dom.brandSwatchesInput.value));
+
+        // Gradient Builder
+        this.dom.gradientToggle.addEventListener('click', () => {
+            this.renderGradientStops();
+            this.renderGradientBuilder();
+            this.dom.gradientModal.showModal();
+        });
+        this.dom.gradientTypes.addEventListener('click', (e) => {
+            const tab = e.target.closest('[data-gradient-type]');
+            if (tab) this.updateGradient({ type: tab.dataset.gradientType });
+        });
+        this.dom.gradientSpace.addEventListener('change', (e) => this.updateGradient({ space: e.target.value }));
+        this.dom.gradientAngle.addEventListener('input', (e) => {
+            this.updateGradient({ angle: parseInt(e.target.value, 10) });
+        });
+        this.dom.gradientStops.addEventListener('input', (e) => {
+            const index = parseInt(e.target.dataset.stopPosition, 10);
+            const stop = this.gradient.stops.find(s => s.index === index);
+            if (!stop) return;
+            stop.position = parseInt(e.target.value, 10);
+            e.target.nextElementSibling.textContent = `${stop.position}%`;
+            this.updateGradient({});
+        });
+        this.dom.gradientStops.addEventListener('change', (e) => {
+            if (!e.target.dataset.stopToggle) return;
+            // A gradient needs at least two colors
+            if (!e.target.checked && this.getGradientStops().length <= 2) {
+                e.target.checked = true;
+                return;
+            }
+            this.toggleGradientStop(parseInt(e.target.dataset.stopToggle, 10), e.target.checked);
+            this.renderGradientStops();
+            this.updateGradient({});
+        });
+        this.dom.gradientApplyBtn.addEventListener('click', () => this.updateGradient({ applied: !this.gradient.applied }));
+        this.dom.gradientCopyBtn.addEventListener('click', () => {
+            this.copyToClipboard(this.getGradientCSS(), 'Gradient CSS copied!');
+        });
+
+        // Theme Roles
+        this.dom.rolesToggle.addEventListener('click', () => {
+            this.renderRolesPanel();
+            this.dom.rolesModal.showModal();
+        });
+        this.dom.roleList.addEventListener('change', (e) => {
+            const role = e.target.dataset.roleSelect;
+            if (!role) return;
+            if (e.target.value === 'auto') {
+                delete this.roleAssignments[role];
+            } else {
+                this.roleAssignments[role] = parseInt(e.target.value, 10);
+            }
+            localStorage.setItem('roleAssignments', JSON.stringify(this.roleAssignments));
+            this.updateThemeRoles();
+            this.dom.roleList.querySelector(`[data-role-select="${role}"]`).focus();
+        });
+        this.dom.rolesCopyBtn.addEventListener('click', () => {
+            this.copyToClipboard(this.getRolesCSS(), 'Theme roles copied!');
+        });
+
+        // Palette Sheet
+        this.dom.sheetToggle.addEventListener('click', () => {
+            this.renderPaletteSheet();
+            this.dom.sheetModal.showModal();
+        });
+        this.dom.sheetPrintBtn.addEventListener('click', () => window.print());
+        this.dom.sheetPngBtn.addEventListener('click', () => this.exportSheetPNG());
+
+        // Contrast Matrix
+        this.dom.contrastToggle.addEventListener('click', () => {
+            this.renderContrastMatrix();
+            this.dom.contrastModal.showModal();
+        });
+
+        this.dom.exportSvgBtn.addEventListener('click', () => this.exportIllustrationSVG());
+        this.dom.exportPngBtn.addEventListener('click', () => {
+            this.exportIllustrationPNG(parseInt(this.dom.illustrationSize.value, 10));
+        });
+
+        // Palette Library
+        this.dom.libraryToggle.addEventListener('click', () => {
+            this.dom.libraryModal.showModal();
+            this.refreshLibrary();
+        });
+        this.dom.librarySaveForm.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.saveToLibrary(new FormData(e.target));
+        });
+        this.dom.librarySearch.addEventListener('input', () => this.renderLibrary());
+        this.dom.libraryFilter.addEventListener('change', () => this.renderLibrary());
+        this.dom.libraryList.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-library-action]');
+            if (button) this.handleLibraryAction(button.dataset.libraryAction, button.closest('[data-id]').dataset.id);
+        });
+        this.dom.libraryBackupBtn.addEventListener('click', () => this.exportLibraryBackup());
+        this.dom.libraryRestore.addEventListener('change', (e) => {
+            if (e.target.files[0]) this.importLibraryBackup(e.target.files[0]);
+            e.target.value = '';
+        });
+
+        // Import Panel
+        this.dom.importToggle.addEventListener('click', () => this.dom.importModal.showModal());
+        this.dom.importText.addEventListener('input', () => {
+            this.setImportColors(this.parseColorList(this.dom.importText.value));
+        });
+        this.dom.importFile.addEventListener('change', (e) => {
+            if (e.target.files[0]) this.handleImportFile(e.target.files[0]);
+            e.target.value = '';
+        });
+        this.dom.importDrop.addEventListener('dragover', (e) => {
+            e.preventDefault();
+            this.dom.importDrop.classList.add('dragging');
+        });
+        this.dom.importDrop.addEventListener('dragleave', () => this.dom.importDrop.classList.remove('dragging'));
+        this.dom.importDrop.addEventListener('drop', (e) => {
+            e.preventDefault();
+            this.dom.importDrop.classList.remove('dragging');
+            if (e.dataTransfer.files[0]) this.handleImportFile(e.dataTransfer.files[0]);
+        });
+        this.dom.importApplyBtn.addEventListener('click', () => {
+            this.applyImportedColors(this.importColors);
+            this.dom.importModal.close();
+        });
+
+        // Keyboard Shortcuts (Spacebar, Ctrl+Z, Ctrl+Shift+Z)
         document.addEventListener('keydown', (e) => {
-            // Prevent scrolling if space is pressed, unless text input is focused
-            if (e.code === 'Space' && e.target.tagName !== 'INPUT' && e.target.tagName !== 'TEXTAREA' && e.target.tagName !== 'BUTTON') {
+            // Leave keys alone while a text input or button is focused
+            if (this.isShortcutIgnored(e.target)) return;
+
+            if (e.code === 'Space') {
+                // Prevent scrolling
                 e.preventDefault();
                 this.generatePalette();
+            } else if ((e.ctrlKey || e.metaKey) && e.key.toLowerCase() === 'z') {
+                e.preventDefault();
+                if (e.shiftKey) {
+                    this.redo();
+                } else {
+                    this.undo();
+                }
+            } else if (this.isSlotKey(e.key) && !(e.ctrlKey || e.metaKey || e.altKey)) {
+                // Number keys jump to a slot
+                this.focusCard(parseInt(e.key, 10) - 1);
             }
         });
 
         // Delegate Palette Interactions
         this.dom.paletteContainer.addEventListener('click', (e) => this.handlePaletteClick(e));
         
-        // Handle Hex Input
+        // Handle Hex Input (one history entry per edit session)
+        this.dom.paletteContainer.addEventListener('focus', (e) => {
+            if (e.target.classList.contains('hex-input')) {
+                this.pendingHexEdit = true;
+            }
+        }, true);
+
         this.dom.paletteContainer.addEventListener('input', (e) => {
             if (e.target.classList.contains('hex-input')) {
                 this.handleHexInput(e);
             }
         });
 
+        // Enter or leaving the field commits values that can't apply while typing
+        this.dom.paletteContainer.addEventListener('change', (e) => {
+            if (e.target.classList.contains('hex-input')) {
+                this.handleHexInput(e, { commit: true });
+            }
+        });
+
+        this.dom.paletteContainer.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter' && e.target.classList.contains('hex-input')) {
+                e.target.blur();
+            }
+        });
+
         this.dom.paletteContainer.addEventListener('blur', (e) => {
             if (e.target.classList.contains('hex-input')) {
                 this.validateHexInput(e.target);
             }
         }, true);
 
+        // Card Reordering: pointer drag (mouse and touch) or arrow keys on the handle
+        this.dom.paletteContainer.addEventListener('pointerdown', (e) => this.startCardDrag(e));
+        this.dom.paletteContainer.addEventListener('pointermove', (e) => this.moveCardDrag(e));
+        this.dom.paletteContainer.addEventListener('pointerup', (e) => this.endCardDrag(e));
+        this.dom.paletteContainer.addEventListener('pointercancel', (e) => this.endCardDrag(e, true));
+        this.dom.paletteContainer.addEventListener('keydown', (e) => {
+            if (!e.target.classList.contains('drag-handle')) return;
+            const step = { ArrowLeft: -1, ArrowUp: -1, ArrowRight: 1, ArrowDown: 1 }[e.key];
+            if (!step) return;
+            e.preventDefault();
+            const from = parseInt(e.target.closest('.color-card').dataset.index, 10);
+            const to = Math.max(0, Math.min(this.state.totalColors - 1, from + step));
+            this.moveColor(from, to);
+            this.dom.colorCards[to].querySelector('.drag-handle').focus();
+        });
+        this.dom.paletteContainer.addEventListener('keydown', (e) => this.handleCardKey(e));
+        this.dom.sortHueBtn.addEventListener('click', () => this.sortColors('hue'));
+        this.dom.sortLightnessBtn.addEventListener('click', () => this.sortColors('lightness'));
+
+        // A/B Comparison
+        this.dom.compareBtn.addEventListener('click', () => {
+            if (this.comparison) {
+                this.clearComparison();
+            } else {
+                this.pinComparison();
+            }
+        });
+        this.dom.compareRepin.addEventListener('click', () => this.pinComparison());
+        this.dom.compareSwap.addEventListener('click', () => this.swapComparison());
+        this.dom.compareClose.addEventListener('click', () => this.clearComparison());
+
+        // Color Editor Popover
+        this.dom.colorEditor.addEventListener('input', (e) => {
+            const group = e.target.closest('[data-space]');
+            if (group) this.applyEditorColor(this.readEditorGroup(group));
+        });
+        this.dom.colorEditor.addEventListener('change', () => this.syncURL());
+        this.dom.colorEditor.addEventListener('toggle', (e) => {
+            if (e.newState === 'closed') {
+                this.editorIndex = null;
+                this.syncURL();
+            }
+        });
+        this.dom.eyedropperBtn.hidden = !('EyeDropper' in window);
+        this.dom.eyedropperBtn.addEventListener('click', () => this.pickWithEyedropper());
+
+        // Custom Illustration Upload
+        this.dom.svgUpload.addEventListener('change', (e) => {
+            if (e.target.files[0]) this.handleSVGUpload(e.target.files[0]);
+            e.target.value = '';
+        });
+        this.dom.svgResetBtn.addEventListener('click', () => {
+            this.dom.svgResetBtn.hidden = true;
+            this.loadSVG();
+        });
+
         // Interactive Preview Elements
         this.bindInteractivePreview();
     }
 
-    updateColorCount(newCount) {
+    updateColorCount(newCount, { record = true, regenerate = true } = {}) {
+        if (record) this.recordHistory();
+
         // Prepare new arrays
         const oldColors = [...this.state.colors];
         const oldLocked = [...this.state.locked];
+        const oldPins = [...this.state.pins];
 
         this.state.totalColors = newCount;
         this.state.colors = new Array(newCount);
         this.state.locked = new Array(newCount).fill(false);
+        this.state.pins = new Array(newCount).fill('');
 
-        // Preserve existing colors/locks where possible
+        // Preserve existing colors/locks/pins where possible
         for (let i = 0; i < newCount; i++) {
             if (i < oldColors.length) {
                 this.state.colors[i] = oldColors[i];
                 this.state.locked[i] = oldLocked[i];
+                this.state.pins[i] = oldPins[i];
             } else {
                 this.state.colors[i] = '#000000'; // Default, will be updated by generate
             }
         }
 
         localStorage.setItem('colorCount', newCount);
+        this.dom.colorCountInput.value = newCount;
         this.renderCards();
-        this.generatePalette();
+        if (regenerate) {
+            this.generatePalette({ record: false });
+        }
     }
 
-    handleHexInput(e) {
+    handleHexInput(e, { commit = false } = {}) {
         const input = e.target;
         const card = input.closest('.color-card');
         const index = parseInt(card.dataset.index, 10);
-        let val = input.value;
+        let val = input.value.trim();
 
-        if (!val.startsWith('#')) {
+        // Bare hex digits are fine without the '#'
+        if (/^([0-9A-F]{3}|[0-9A-F]{6})$/i.test(val)) {
             val = '#' + val;
-            input.value = val;
         }
 
-        if (/^#[0-9A-F]{6}$/i.test(val)) {
-            this.state.colors[index] = val.toUpperCase();
+        // Only full hex and closed rgb()/hsl() apply while typing; shorthand and names
+        // are prefixes of longer values ("#abc" of "#abcdef"), so they wait for change
+        if (!commit && !/^#[0-9A-F]{6}$/i.test(val) && !val.endsWith(')')) return;
+
+        // Accepts #RGB, #RRGGBB, rgb(), hsl(), CSS named colors and brand swatch names
+        const color = this.parseColorValue(val) || this.lookupColorName(val);
+        if (color && color !== this.state.colors[index]) {
+            if (this.pendingHexEdit) {
+                this.recordHistory();
+                this.pendingHexEdit = false;
+            }
+            this.state.colors[index] = color;
             this.updateSingleCardUI(index);
+            this.syncURL();
         }
     }
 
@@ -359,22 +1462,11 @@ class ColorApp {
             document.body.appendChild(this.dom.tooltip);
         }
 
-        // Helper to get color info
-        const getColorInfo = (target) => {
-            const el = target.closest('.color-interactive');
-            if (!el) return null;
-            const index = parseInt(el.dataset.colorIndex, 10);
-            // Check if index is within current range
-            if (isNaN(index) || index >= this.state.totalColors) return null;
-            return { el, index };
-        };
-
         // Delegate MouseOver (for tooltip show)
         document.addEventListener('mouseover', (e) => {
-            const info = getColorInfo(e.target);
+            const info = this.getPreviewColor(e.target);
             if (info) {
-                const color = this.state.colors[info.index];
-                this.dom.tooltip.textContent = color;
+                this.dom.tooltip.textContent = `${info.color} · ${this.getColorName(info.color).name}`;
                 this.dom.tooltip.style.opacity = '1';
                 this.dom.tooltip.style.left = `${e.clientX}px`;
                 this.dom.tooltip.style.top = `${e.clientY}px`;
@@ -391,17 +1483,25 @@ class ColorApp {
 
         // Delegate MouseOut (for tooltip hide)
         document.addEventListener('mouseout', (e) => {
-            const info = getColorInfo(e.target);
+            const info = this.getPreviewColor(e.target);
             if (info) {
                 this.dom.tooltip.style.opacity = '0';
             }
         });
 
+        // Keyboard copy for swatches that are not native buttons
+        document.addEventListener('keydown', (e) => {
+            if ((e.key === 'Enter' || e.key === ' ') && e.target.tagName !== 'BUTTON' && this.getPreviewColor(e.target)) {
+                e.preventDefault();
+                e.target.closest('.color-interactive').dispatchEvent(new MouseEvent('click', { bubbles: true }));
+            }
+        });
+
         // Delegate Click (for copy)
         document.addEventListener('click', (e) => {
-            const info = getColorInfo(e.target);
+            const info = this.getPreviewColor(e.target);
             if (info) {
-                this.copyToClipboard(this.state.colors[info.index]);
+                this.copyToClipboard(info.color);
 
                 // Visual feedback
                 const originalTransform = info.el.style.transform;
@@ -414,6 +1514,53 @@ class ColorApp {
         });
     }
 
+    getPreviewColor(target) {
+        // A palette slot or a semantic role, from palette A inside its comparison pane
+        const el = target.closest?.('.color-interactive');
+        if (!el) return null;
+        const inA = this.comparison && el.closest('.compare-pane');
+        const colors = inA ? this.comparison.colors : this.state.colors;
+        if (el.dataset.role) {
+            const color = (inA ? this.comparisonRoles : this.themeRoles)[el.dataset.role];
+            return color ? { el, color } : null;
+        }
+        const index = parseInt(el.dataset.colorIndex, 10);
+        // Check if index is within current range
+        if (isNaN(index) || index >= colors.length) return null;
+        return { el, color: colors[index] };
+    }
+
+    updatePreviewLabels() {
+        // Preview swatches double as copy buttons, so they need focus and a name
+        const names = new Map();
+        const nameOf = hex => {
+            if (!names.has(hex)) names.set(hex, this.getColorName(hex).name);
+            return names.get(hex);
+        };
+        // Only the live templates' discrete controls; the illustration is a single labelled image
+        // and the comparison copy is hidden from assistive tech
+        const controls = Array.from(this.dom.previewTemplates)
+            .flatMap(panel => Array.from(panel.querySelectorAll('.color-interactive')))
+            .filter(el => !this.dom.svgContainer.contains(el));
+        controls.forEach(el => {
+            const info = this.getPreviewColor(el);
+            if (!info || el.dataset.labelColor === info.color) return;
+            el.dataset.labelColor = info.color;
+            const source = el.dataset.role || `C${parseInt(el.dataset.colorIndex, 10) + 1}`;
+            const copy = `${source}: ${nameOf(info.color)}, ${info.color}`;
+            if (el.tagName !== 'BUTTON') {
+                el.setAttribute('role', 'button');
+                el.setAttribute('tabindex', '0');
+                el.setAttribute('aria-label', `Copy ${copy}`);
+                return;
+            }
+
+            // Real buttons keep their visible name first so voice control still matches it
+            el.dataset.label ??= el.getAttribute('aria-label') || el.textContent.trim();
+            el.setAttribute('aria-label', `${el.dataset.label}, copies ${copy}`);
+        });
+    }
+
     handlePaletteClick(e) {
         const card = e.target.closest('.color-card');
         if (!card) return;
@@ -422,132 +1569,1783 @@ class ColorApp {
         const target = e.target;
 
         // Action routing
-        if (target.closest('[title="Lock Color"]')) {
-            this.toggleLock(index);
-        } else if (target.closest('[title="Copy HEX"]')) {
-            this.copyToClipboard(this.state.colors[index]);
-        } else if (target.closest('[title="Refresh This Color"]')) {
-            this.regenerateSingleColor(index);
+        const action = target.closest('[data-action]');
+        if (action) {
+            this.runCardAction(action.dataset.action, index);
+        } else if (target.closest('[data-pin]')) {
+            this.togglePin(index, target.closest('[data-pin]').dataset.pin, { everyCard: e.shiftKey });
+        } else if (target.closest('.scale-step')) {
+            this.copyToClipboard(target.closest('.scale-step').dataset.hex);
         }
     }
 
-    /* --- Theme Logic --- */
-    toggleTheme() {
-        this.state.theme = this.state.theme === 'theme-dark' ? 'theme-light' : 'theme-dark';
-        this.dom.body.className = this.state.theme;
-        localStorage.setItem('theme', this.state.theme);
-        this.updateThemeIcon();
+    runCardAction(action, index) {
+        switch (action) {
+            case 'lock':
+                this.toggleLock(index);
+                break;
+            case 'refresh':
+                this.regenerateSingleColor(index);
+                break;
+            case 'edit':
+                this.openColorEditor(index);
+                break;
+            case 'copy':
+                this.copyToClipboard(this.state.colors[index]);
+                break;
+        }
     }
 
-    updateThemeIcon() {
-        const icon = this.dom.themeToggle.querySelector('.material-icons-round');
-        if (icon) {
-            icon.textContent = this.state.theme === 'theme-dark' ? 'light_mode' : 'dark_mode';
+    handleCardKey(e) {
+        // Arrows/Home/End move between cards, L/R/C act on the focused one, 1–8 jump to a slot.
+        // Text fields and the drag handle (arrows reorder there) keep their own keys.
+        const card = e.target.closest('.color-card');
+        if (!card || e.target.tagName === 'INPUT' || e.ctrlKey || e.metaKey || e.altKey) return;
+
+        const index = parseInt(card.dataset.index, 10);
+        const last = this.state.totalColors - 1;
+        const moves = { ArrowLeft: index - 1, ArrowUp: index - 1, ArrowRight: index + 1, ArrowDown: index + 1, Home: 0, End: last };
+        const actions = { l: 'lock', r: 'refresh', c: 'copy' };
+        const key = e.key.toLowerCase();
+
+        if (e.key in moves && !e.target.classList.contains('drag-handle')) {
+            this.focusCard(Math.max(0, Math.min(last, moves[e.key])));
+        } else if (actions[key]) {
+            this.runCardAction(actions[key], index);
+        } else if (this.isSlotKey(e.key)) {
+            this.focusCard(parseInt(e.key, 10) - 1);
+        } else {
+            return;
         }
+        e.preventDefault();
+        e.stopPropagation();
     }
 
-    /* --- Core Color Logic --- */
-    generatePalette() {
-        // 1. Base Color Generation (Random HSL)
-        const baseH = Math.floor(Math.random() * 360);
-        const baseS = Math.floor(Math.random() * 60) + 40; 
-        const baseL = Math.floor(Math.random() * 40) + 35; 
+    focusCard(index) {
+        this.dom.colorCards[index]?.focus();
+    }
+
+    isSlotKey(key) {
+        // Digits 1 to maxColors address a card
+        return /^\d$/.test(key) && key >= 1 && key <= this.config.maxColors;
+    }
+
+    /* --- Card Reordering --- */
+    startCardDrag(e) {
+        const handle = e.target.closest('.drag-handle');
+        if (!handle || e.button !== 0) return;
+        e.preventDefault();
+
+        const card = handle.closest('.color-card');
+        handle.setPointerCapture?.(e.pointerId);
+        card.classList.add('dragging');
+        const index = parseInt(card.dataset.index, 10);
+        this.cardDrag = { card, from: index, to: index, x: e.clientX, y: e.clientY };
+    }
+
+    moveCardDrag(e) {
+        const drag = this.cardDrag;
+        if (!drag) return;
+
+        // The dragged card ignores pointer events, so this finds the card underneath
+        drag.card.style.transform = `translate(${e.clientX - drag.x}px, ${e.clientY - drag.y}px)`;
+        const over = document.elementFromPoint(e.clientX, e.clientY)?.closest('.color-card');
+        drag.to = over ? parseInt(over.dataset.index, 10) : drag.to;
+        this.dom.colorCards.forEach((card, i) => card.classList.toggle('drop-target', i === drag.to && i !== drag.from));
+    }
+
+    endCardDrag(e, cancelled = false) {
+        const drag = this.cardDrag;
+        if (!drag) return;
+
+        this.cardDrag = null;
+        drag.card.classList.remove('dragging');
+        drag.card.style.transform = '';
+        this.dom.colorCards.forEach(card => card.classList.remove('drop-target'));
+        if (!cancelled) this.moveColor(drag.from, drag.to);
+    }
+
+    moveColor(from, to) {
+        const order = this.state.colors.map((_, i) => i);
+        order.splice(to, 0, ...order.splice(from, 1));
+        this.reorderColors(order);
+        if (from !== to) this.announce(`C${from + 1} moved to position ${to + 1}`);
+    }
+
+    sortColors(by) {
+        // Near-grays carry no usable hue, so a hue sort puts them last, light to dark
+        const lch = this.state.colors.map(hex => hexToOklch(hex));
+        const isGray = i => lch[i].c < 0.03;
+        const byLightness = (a, b) => lch[b].l - lch[a].l;
+        const order = this.state.colors.map((_, i) => i).sort(by === 'hue'
+            ? (a, b) => (isGray(a) - isGray(b)) || (isGray(a) ? byLightness(a, b) : lch[a].h - lch[b].h)
+            : byLightness);
+        this.reorderColors(order);
+        this.announce(`Sorted by ${by}`);
+    }
+
+    reorderColors(order) {
+        // order lists the current slots in their new sequence; locks and pins travel with their colors
+        if (order.every((from, to) => from === to)) return;
+        this.recordHistory();
+        this.state.colors = order.map(i => this.state.colors[i]);
+        this.state.locked = order.map(i => this.state.locked[i]);
+        this.state.pins = order.map(i => this.state.pins[i]);
+        if (this.editorIndex !== null) {
+            this.editorIndex = order.indexOf(this.editorIndex);
+        }
+        this.updateUI();
+        this.syncURL();
+    }
+
+    /* --- Color Editor --- */
+    openColorEditor(index) {
+        this.editorIndex = index;
+        this.pendingEditorEdit = true; // one history entry per editing session
+        this.syncColorEditor();
+        this.dom.colorEditor.showPopover();
+
+        // Place below the card, kept inside the viewport
+        const rect = this.dom.colorCards[index].getBoundingClientRect();
+        const editor = this.dom.colorEditor;
+        const margin = 8;
+        const left = Math.min(Math.max(margin, rect.left + rect.width / 2 - editor.offsetWidth / 2),
+            window.innerWidth - editor.offsetWidth - margin);
+        const below = rect.top + rect.height * 0.6;
+        const top = below + editor.offsetHeight > window.innerHeight - margin
+            ? Math.max(margin, window.innerHeight - editor.offsetHeight - margin)
+            : below;
+        editor.style.left = `${left}px`;
+        editor.style.top = `${top}px`;
+    }
 
-        // 2. Harmony Calculation
-        const harmonyColors = this.calculateHarmonies(baseH, baseS, baseL);
+    readEditorGroup(group) {
+        const value = channel => parseFloat(group.querySelector(`[data-channel="${channel}"]`).value);
+        const clip = (val, min, max) => Math.max(min, Math.min(val, max));
 
-        // 3. Update State (respecting locks)
-        harmonyColors.forEach((hsl, i) => {
-            if (i < this.state.totalColors && !this.state.locked[i]) {
-                const hex = this.hslToHex(hsl.h, hsl.s, hsl.l);
-                this.state.colors[i] = hex;
+        switch (group.dataset.space) {
+            case 'hsl':
+                return hslToHex(value('h'), value('s'), value('l'));
+            case 'rgb': {
+                const channels = ['r', 'g', 'b'].map(value);
+                if (channels.some(isNaN)) return null;
+                return rgbToHex(...channels.map(v => clip(v, 0, 255)));
             }
+            case 'oklch':
+                return oklchToHex({ l: value('l') / 100, c: value('c'), h: value('h') });
+            case 'native':
+                return group.querySelector('input').value.toUpperCase();
+            default:
+                return null;
+        }
+    }
+
+    applyEditorColor(hex) {
+        const index = this.editorIndex;
+        if (index === null || !hex || hex === this.state.colors[index]) return;
+
+        if (this.pendingEditorEdit) {
+            this.recordHistory();
+            this.pendingEditorEdit = false;
+        }
+        this.state.colors[index] = hex;
+        this.updateSingleCardUI(index);
+    }
+
+    syncColorEditor() {
+        const index = this.editorIndex;
+        if (index === null) return;
+
+        const hex = this.state.colors[index];
+        const hsl = hexToHsl(hex);
+        const rgb = hexToRgb(hex);
+        const lch = hexToOklch(hex);
+        const values = {
+            hsl: { h: Math.round(hsl.h), s: Math.round(hsl.s), l: Math.round(hsl.l) },
+            rgb,
+            oklch: { l: (lch.l * 100).toFixed(1), c: lch.c.toFixed(3), h: Math.round(lch.h) },
+            native: { value: hex.toLowerCase() }
+        };
+
+        this.dom.editorSwatch.style.background = hex;
+        this.dom.editorTitle.textContent = `C${index + 1} · ${hex}`;
+
+        // Leave the group being dragged/typed in alone (like the focused hex input)
+        this.dom.colorEditor.querySelectorAll('[data-space]').forEach(group => {
+            if (group.contains(document.activeElement)) return;
+            Object.entries(values[group.dataset.space]).forEach(([channel, value]) => {
+                const input = group.querySelector(`[data-channel="${channel}"]`);
+                if (input) input.value = value;
+            });
+        });
+        this.dom.colorEditor.querySelectorAll('input[type="range"]').forEach(slider => {
+            slider.nextElementSibling.textContent = slider.value;
         });
+    }
+
+    async pickWithEyedropper() {
+        try {
+            const result = await new window.EyeDropper().open();
+            this.applyEditorColor(this.parseColorValue(result.sRGBHex));
+            this.syncURL();
+        } catch (e) {
+            // Picking was cancelled
+        }
+    }
+
+    /* --- Shareable URL State --- */
+    serializeState() {
+        const params = new URLSearchParams({
+            mode: this.state.mode,
+            colors: this.state.colors.map(c => c.replace('#', '')).join('-'),
+            locked: this.state.locked.map(l => (l ? '1' : '0')).join(''),
+            seed: this.state.seed
+        });
+        if (this.state.pins.some(Boolean)) {
+            params.set('pins', this.state.pins.join('-'));
+        }
+        return `#${params.toString()}`;
+    }
+
+    parseStateHash(hash) {
+        if (!hash || hash.length < 2) return null;
+        const params = new URLSearchParams(hash.slice(1));
+
+        const colors = (params.get('colors') || '').split('-').filter(Boolean);
+        if (colors.length < this.config.minColors || colors.length > this.config.maxColors) return null;
+        if (!colors.every(c => /^[0-9A-F]{6}$/i.test(c))) return null;
+
+        // Locks and pins are optional; missing flags default to unlocked/unpinned
+        const lockFlags = params.get('locked') || '';
+        const pins = (params.get('pins') || '').split('-');
+        return {
+            mode: params.get('mode'),
+            colors: colors.map(c => `#${c.toUpperCase()}`),
+            locked: colors.map((_, i) => lockFlags[i] === '1'),
+            pins: colors.map((_, i) => this.normalizePins(pins[i])),
+            seed: params.get('seed')
+        };
+    }
 
-        // 4. Render
+    applySharedState(shared) {
+        if (!shared) return false;
+
+        // Keep the count like the count input does, so a plain reload keeps it too
+        this.state.totalColors = shared.colors.length;
+        localStorage.setItem('colorCount', this.state.totalColors);
+        this.state.colors = shared.colors;
+        this.state.locked = shared.locked;
+        this.state.pins = shared.pins;
+        if (shared.seed) {
+            this.state.seed = shared.seed;
+            this.random = createRandom(shared.seed);
+        }
+
+        // Ignore modes the harmony select does not offer
+        const knownModes = Array.from(this.dom.harmonySelect.options, o => o.value);
+        if (knownModes.includes(shared.mode)) {
+            this.state.mode = shared.mode;
+        }
+        return true;
+    }
+
+    syncURL(push = false) {
+        const hash = this.serializeState();
+        if (window.location.hash === hash) return;
+
+        // New palettes get their own history entry; edits rewrite the current one
+        if (push) {
+            history.pushState(null, '', hash);
+        } else {
+            history.replaceState(null, '', hash);
+        }
+    }
+
+    restoreFromURL() {
+        const previousCount = this.state.totalColors;
+        if (!this.applySharedState(this.parseStateHash(window.location.hash))) return;
+
+        this.renderRestoredState(previousCount);
+    }
+
+    renderRestoredState(previousCount) {
+        this.dom.harmonySelect.value = this.state.mode;
+        this.dom.seedInput.value = this.state.seed;
+        this.dom.colorCountInput.value = this.state.totalColors;
+        if (this.state.totalColors !== previousCount) {
+            this.renderCards();
+        }
         this.updateUI();
     }
 
-    regenerateSingleColor(index) {
-        const h = Math.floor(Math.random() * 360);
-        const s = Math.floor(Math.random() * 40) + 50;
-        const l = Math.floor(Math.random() * 40) + 40;
+    /* --- Undo / Redo History --- */
+    createSnapshot() {
+        return {
+            totalColors: this.state.totalColors,
+            colors: [...this.state.colors],
+            locked: [...this.state.locked],
+            pins: [...this.state.pins],
+            mode: this.state.mode,
+            seed: this.state.seed
+        };
+    }
 
-        this.state.colors[index] = this.hslToHex(h, s, l);
-        this.updateSingleCardUI(index);
+    recordHistory() {
+        this.history.undo.push(this.createSnapshot());
+        if (this.history.undo.length > this.config.historyLimit) {
+            this.history.undo.shift();
+        }
+        this.history.redo = [];
+        this.updateHistoryButtons();
     }
 
-    calculateHarmonies(h, s, l) {
-        let colors = [];
-        const mode = this.state.mode;
-        const count = this.state.totalColors;
+    undo() {
+        if (!this.history.undo.length) return;
+        this.history.redo.push(this.createSnapshot());
+        this.restoreSnapshot(this.history.undo.pop());
+    }
 
-        const clip = (val, min, max) => Math.max(min, Math.min(val, max));
+    redo() {
+        if (!this.history.redo.length) return;
+        this.history.undo.push(this.createSnapshot());
+        this.restoreSnapshot(this.history.redo.pop());
+    }
+
+    restoreSnapshot(snapshot, { pushURL = false } = {}) {
+        const previousCount = this.state.totalColors;
+        this.state.totalColors = snapshot.totalColors;
+        this.state.colors = [...snapshot.colors];
+        this.state.locked = [...snapshot.locked];
+        this.state.pins = [...snapshot.pins];
+        this.state.mode = snapshot.mode;
+        this.state.seed = snapshot.seed;
+        this.random = createRandom(snapshot.seed);
+
+        if (snapshot.totalColors !== previousCount) {
+            localStorage.setItem('colorCount', snapshot.totalColors);
+        }
+        this.renderRestoredState(previousCount);
+        this.syncURL(pushURL);
+        this.updateHistoryButtons();
+    }
+
+    updateHistoryButtons() {
+        this.dom.undoBtn.disabled = !this.history.undo.length;
+        this.dom.redoBtn.disabled = !this.history.redo.length;
+    }
+
+    isShortcutIgnored(target) {
+        // Preview swatches take Space/Enter themselves (copy)
+        return ['INPUT', 'TEXTAREA', 'BUTTON', 'SELECT'].includes(target.tagName)
+            || Boolean(target.closest('dialog, .color-interactive'));
+    }
 
-        const generateSteps = (baseValue, stepSize, num) => {
-            const steps = [];
-            const half = Math.floor(num / 2);
-            for (let i = -half; i < -half + num; i++) {
-                steps.push(baseValue + i * stepSize);
+    /* --- Export --- */
+    getExportFormats() {
+        const colors = this.state.colors;
+        const scales = colors.map(c => this.getColorScale(c));
+        const name = `ChromaFlow ${this.dom.harmonySelect.selectedOptions[0]?.textContent || this.state.mode}`;
+
+        // Base color followed by its 50–950 ramp, e.g. ['c-1', hex], ['c-1-50', hex], ...
+        const withScales = prefix => colors.flatMap((c, i) => [
+            [`${prefix}${i + 1}`, c],
+            ...scales[i].map(({ step, hex }) => [`${prefix}${i + 1}-${step}`, hex])
+        ]);
+
+        // Semantic roles for the current theme, e.g. ['role-primary', hex]
+        const withRoles = prefix => Object.entries(this.themeRoles).map(([role, c]) => [`${prefix}${role}`, c]);
+
+        return {
+            css: {
+                label: 'CSS Variables',
+                extension: 'css',
+                mimeType: 'text/css',
+                build: () => `:root {\n${[...withScales('--c-'), ...withRoles('--role-')]
+                    .map(([key, c]) => `    ${key}: ${c};`).join('\n')}\n}\n`
+            },
+            scss: {
+                label: 'SCSS',
+                extension: 'scss',
+                mimeType: 'text/x-scss',
+                build: () => `${withScales('$c-').map(([key, c]) => `${key}: ${c};`).join('\n')}\n`
+            },
+            tailwind: {
+                label: 'Tailwind',
+                extension: 'js',
+                mimeType: 'text/javascript',
+                build: () => [
+                    '/** @type {import(\'tailwindcss\').Config} */',
+                    'module.exports = {',
+                    '    theme: {',
+                    '        extend: {',
+                    '            colors: {',
+                    '                c: {',
+                    ...colors.flatMap((c, i) => [
+                        `                    ${i + 1}: {`,
+                        `                        DEFAULT: '${c}',`,
+                        ...scales[i].map(({ step, hex }) => `                        ${step}: '${hex}',`),
+                        '                    },'
+                    ]),
+                    '                }',
+                    '            }',
+                    '        }',
+                    '    }',
+                    '};',
+                    ''
+                ].join('\n')
+            },
+            tokens: {
+                label: 'Design Tokens',
+                extension: 'tokens.json',
+                mimeType: 'application/json',
+                build: () => {
+                    // W3C Design Tokens Community Group format
+                    const group = { $type: 'color', $description: name };
+                    const scaleGroup = {};
+                    colors.forEach((c, i) => {
+                        group[`c-${i + 1}`] = { $value: c };
+                        scaleGroup[`c-${i + 1}`] = Object.fromEntries(
+                            scales[i].map(({ step, hex }) => [step, { $value: hex }])
+                        );
+                    });
+                    group.scale = scaleGroup;
+                    return `${JSON.stringify({ color: group }, null, 2)}\n`;
+                }
+            },
+            gpl: {
+                label: 'GIMP Palette',
+                extension: 'gpl',
+                mimeType: 'text/plain',
+                build: () => {
+                    const rows = withScales('c-').map(([key, c]) => {
+                        const { r, g, b } = hexToRgb(c);
+                        const channels = [r, g, b].map(v => String(v).padStart(3, ' ')).join(' ');
+                        return `${channels}\t${key} ${c}`;
+                    });
+                    return ['GIMP Palette', `Name: ${name}`, `Columns: ${scales[0].length + 1}`, '#', ...rows, ''].join('\n');
+                }
             }
-            return steps;
         };
+    }
 
-        switch (mode) {
-            case 'monochromatic':
-                const lSteps = generateSteps(l, 12, count);
-                colors = lSteps.map(L => ({ h, s, l: clip(L, 15, 95) }));
-                break;
-            case 'analogous':
-                const hSteps = generateSteps(h, 20, count);
-                colors = hSteps.map(H => ({ h: (H + 360) % 360, s, l }));
-                break;
-            case 'complementary':
-                for (let i = 0; i < count; i++) {
-                    if (i < Math.ceil(count / 2)) {
-                        colors.push({ h, s, l: clip(l + (i * 15), 20, 90) });
-                    } else {
-                        const offset = i - Math.ceil(count / 2);
-                        colors.push({ h: (h + 180) % 360, s, l: clip(l - (offset * 15), 20, 90) });
+    openExportPanel() {
+        this.renderExportPanel();
+        this.dom.exportModal.showModal();
+    }
+
+    renderExportPanel() {
+        const formats = this.getExportFormats();
+
+        this.dom.exportFormats.innerHTML = Object.entries(formats).map(([id, format]) => `
+            <button class="tab-btn${id === this.exportFormat ? ' active' : ''}" data-format="${id}" role="tab"
+                aria-selected="${id === this.exportFormat}">${format.label}</button>
+        `).join('');
+        this.dom.exportOutput.textContent = formats[this.exportFormat].build();
+    }
+
+    /* --- Palette Library --- */
+    async refreshLibrary() {
+        try {
+            this.libraryEntries = await this.library.getAll();
+        } catch (e) {
+            console.error('Failed to open palette library', e);
+            this.showToast('Palette library is unavailable');
+            this.libraryEntries = [];
+        }
+
+        // Collections offered for saving and filtering
+        const collections = [...new Set(this.libraryEntries.map(entry => entry.collection).filter(Boolean))].sort();
+        this.dom.libraryCollections.innerHTML = collections.map(c => `<option value="${this.escapeHTML(c)}">`).join('');
+        const selected = this.dom.libraryFilter.value;
+        this.dom.libraryFilter.innerHTML = '<option value="">All Collections</option>' + collections
+            .map(c => `<option value="${this.escapeHTML(c)}">${this.escapeHTML(c)}</option>`).join('');
+        this.dom.libraryFilter.value = collections.includes(selected) ? selected : '';
+
+        this.renderLibrary();
+    }
+
+    filterLibrary(query, collection) {
+        let entries = this.libraryEntries.filter(entry => !collection || entry.collection === collection);
+        if (!query) return entries;
+
+        const needle = query.toLowerCase();
+        const textMatches = entries.filter(entry => entry.name.toLowerCase().includes(needle)
+            || entry.tags.some(tag => tag.toLowerCase().includes(needle)));
+
+        // A color query also finds palettes containing something close to it, closest first,
+        // followed by name and tag matches ("blue" still finds palettes tagged blue)
+        const target = this.parseColorValue(query) || CSS_NAMED_COLORS[needle];
+        if (!target) return textMatches;
+
+        const targetLab = hexToOklab(target);
+        const nearest = entry => Math.min(...entry.colors.map(c => deltaEOK(targetLab, hexToOklab(c))));
+        const colorMatches = entries
+            .map(entry => ({ entry, distance: nearest(entry) }))
+            .filter(item => item.distance <= this.config.libraryNearDeltaE)
+            .sort((a, b) => a.distance - b.distance)
+            .map(item => item.entry);
+        return [...new Set([...colorMatches, ...textMatches])];
+    }
+
+    renderLibrary() {
+        const query = this.dom.librarySearch.value.trim();
+        const entries = this.filterLibrary(query, this.dom.libraryFilter.value);
+
+        if (!entries.length) {
+            this.dom.libraryList.innerHTML = `<p class="library-empty">${this.libraryEntries.length
+                ? 'No saved palettes match.' : 'Saved palettes will appear here.'}</p>`;
+            return;
+        }
+
+        this.dom.libraryList.innerHTML = entries.map(entry => `
+            <article class="library-item" data-id="${this.escapeHTML(entry.id)}">
+                <div class="library-swatches">
+                    ${entry.colors.map(c => `<span style="background: ${c}" title="${c}"></span>`).join('')}
+                </div>
+                <div class="library-meta">
+                    <h4>${this.escapeHTML(entry.name)}</h4>
+                    <p>${this.escapeHTML(entry.collection || 'Unsorted')} · ${this.escapeHTML(entry.mode)}</p>
+                    <div class="library-tags">
+                        ${entry.tags.map(tag => `<span class="tag">${this.escapeHTML(tag)}</span>`).join('')}
+                    </div>
+                </div>
+                <div class="library-actions">
+                    <button class="icon-btn" data-library-action="load" title="Load" aria-label="Load ${this.escapeHTML(entry.name)}">
+                        <span class="material-icons-round">file_upload</span>
+                    </button>
+                    <button class="icon-btn" data-library-action="duplicate" title="Duplicate" aria-label="Duplicate ${this.escapeHTML(entry.name)}">
+                        <span class="material-icons-round">content_copy</span>
+                    </button>
+                    <button class="icon-btn" data-library-action="delete" title="Delete" aria-label="Delete ${this.escapeHTML(entry.name)}">
+                        <span class="material-icons-round">delete</span>
+                    </button>
+                </div>
+            </article>
+        `).join('');
+    }
+
+    async saveToLibrary(form) {
+        const name = (form.get('name') || '').trim() || `Palette ${new Date().toLocaleString()}`;
+        const tags = (form.get('tags') || '').split(',').map(tag => tag.trim()).filter(Boolean);
+
+        try {
+            await this.library.save({
+                name,
+                tags,
+                collection: (form.get('collection') || '').trim(),
+                colors: [...this.state.colors],
+                locked: [...this.state.locked],
+                mode: this.state.mode
+            });
+            this.dom.librarySaveForm.reset();
+            this.showToast(`Saved "${name}"`);
+            await this.refreshLibrary();
+        } catch (e) {
+            console.error('Failed to save palette', e);
+            this.showToast('Could not save the palette');
+        }
+    }
+
+    async handleLibraryAction(action, id) {
+        try {
+            if (action === 'load') {
+                this.loadLibraryEntry(this.libraryEntries.find(entry => entry.id === id));
+                this.dom.libraryModal.close();
+                return;
+            }
+            if (action === 'duplicate') {
+                await this.library.duplicate(id);
+            } else if (action === 'delete') {
+                await this.library.delete(id);
+            }
+            await this.refreshLibrary();
+        } catch (e) {
+            console.error(`Library ${action} failed`, e);
+            this.showToast('Library action failed');
+        }
+    }
+
+    loadLibraryEntry(entry) {
+        if (!entry) return;
+
+        const knownModes = Array.from(this.dom.harmonySelect.options, o => o.value);
+        this.recordHistory();
+        this.restoreSnapshot({
+            totalColors: entry.colors.length,
+            colors: entry.colors,
+            locked: entry.colors.map((_, i) => Boolean(entry.locked?.[i])),
+            pins: entry.colors.map(() => ''),
+            mode: knownModes.includes(entry.mode) ? entry.mode : this.state.mode,
+            seed: this.state.seed
+        }, { pushURL: true });
+        this.showToast(`Loaded "${entry.name}"`);
+    }
+
+    exportLibraryBackup() {
+        const backup = {
+            app: 'ChromaFlow',
+            version: 1,
+            exportedAt: new Date().toISOString(),
+            palettes: this.libraryEntries
+        };
+        this.downloadFile('chromaflow-library.json', JSON.stringify(backup, null, 2), 'application/json');
+    }
+
+    async importLibraryBackup(file) {
+        try {
+            const backup = JSON.parse(await file.text());
+            const palettes = Array.isArray(backup) ? backup : backup.palettes;
+            const isHex = c => typeof c === 'string' && /^#[0-9A-F]{6}$/i.test(c);
+            const isId = id => typeof id === 'string' && /^[\w-]{1,64}$/.test(id);
+
+            // Keep only well-formed entries within the supported slot range
+            const entries = (palettes || [])
+                .filter(p => Array.isArray(p.colors) && p.colors.length >= this.config.minColors
+                    && p.colors.length <= this.config.maxColors && p.colors.every(isHex))
+                .map(p => ({
+                    id: isId(p.id) ? p.id : crypto.randomUUID(),
+                    name: String(p.name || 'Imported Palette'),
+                    tags: Array.isArray(p.tags) ? p.tags.map(String) : [],
+                    collection: String(p.collection || ''),
+                    colors: p.colors.map(c => c.toUpperCase()),
+                    locked: p.colors.map((_, i) => Boolean(p.locked?.[i])),
+                    mode: String(p.mode || this.config.defaultMode),
+                    createdAt: Number(p.createdAt) || Date.now(),
+                    updatedAt: Number(p.updatedAt) || Date.now()
+                }));
+
+            const count = await this.library.saveMany(entries);
+            this.showToast(`Restored ${count} palettes`);
+            await this.refreshLibrary();
+        } catch (e) {
+            console.error('Failed to restore library backup', e);
+            this.showToast('That backup file could not be read');
+        }
+    }
+
+    /* --- Import --- */
+    parseColorList(text) {
+        const trimmed = text.trim();
+        if (!trimmed) return [];
+
+        // Design-token JSON: collect every string value that is a color
+        if (trimmed.startsWith('{') || trimmed.startsWith('[')) {
+            try {
+                return this.uniqueColors(this.collectJSONColors(JSON.parse(trimmed)));
+            } catch (e) {
+                // Not valid JSON, fall back to scanning the raw text
+            }
+        }
+
+        // Plain lists and CSS variable blocks: scan for color literals in order
+        const matches = trimmed.match(/#(?:[0-9a-f]{8}|[0-9a-f]{6}|[0-9a-f]{3})\b|rgba?\([^)]*\)|hsla?\([^)]*\)/gi) || [];
+        return this.uniqueColors(matches.map(m => this.parseColorValue(m)));
+    }
+
+    collectJSONColors(node) {
+        if (typeof node === 'string') {
+            const color = this.parseColorValue(node.trim());
+            return color ? [color] : [];
+        }
+        if (node && typeof node === 'object') {
+            return Object.values(node).flatMap(value => this.collectJSONColors(value));
+        }
+        return [];
+    }
+
+    parseColorValue(value) {
+        const hex = value.match(/^#([0-9a-f]{3}|[0-9a-f]{6}|[0-9a-f]{8})$/i);
+        if (hex) {
+            let digits = hex[1];
+            if (digits.length === 3) digits = digits.split('').map(d => d + d).join('');
+            return `#${digits.slice(0, 6).toUpperCase()}`;
+        }
+
+        const fn = value.match(/^(rgb|hsl)a?\(([^)]*)\)$/i);
+        if (!fn) return null;
+
+        // Accept both comma and space separated syntax, ignore alpha
+        const parts = fn[2].split(/[\s,\/]+/).filter(Boolean).slice(0, 3);
+        if (parts.length < 3) return null;
+        const nums = parts.map(p => parseFloat(p));
+        if (nums.some(isNaN)) return null;
+
+        const clip = (val, min, max) => Math.max(min, Math.min(val, max));
+        if (fn[1].toLowerCase() === 'rgb') {
+            const [r, g, b] = parts.map((p, i) => (p.endsWith('%') ? nums[i] * 2.55 : nums[i]));
+            return rgbToHex(clip(r, 0, 255), clip(g, 0, 255), clip(b, 0, 255));
+        }
+        const [h, sat, light] = nums;
+        return hslToHex(((h % 360) + 360) % 360, clip(sat, 0, 100), clip(light, 0, 100));
+    }
+
+    uniqueColors(colors) {
+        return [...new Set(colors.filter(Boolean))];
+    }
+
+    async handleImportFile(file) {
+        try {
+            if (file.type.startsWith('image/')) {
+                const colors = await this.extractImageColors(file, this.state.totalColors);
+                this.dom.importText.value = colors.join('\n');
+                this.setImportColors(colors);
+            } else {
+                this.dom.importText.value = await file.text();
+                this.setImportColors(this.parseColorList(this.dom.importText.value));
+            }
+        } catch (e) {
+            console.error('Failed to read import file', e);
+            this.showToast('Could not read that file');
+        }
+    }
+
+    async extractImageColors(file, count) {
+        // Downscale onto a canvas; a few thousand pixels is plenty for quantization
+        const bitmap = await createImageBitmap(file);
+        const scale = Math.min(1, 100 / Math.max(bitmap.width, bitmap.height));
+        const canvas = document.createElement('canvas');
+        canvas.width = Math.max(1, Math.round(bitmap.width * scale));
+        canvas.height = Math.max(1, Math.round(bitmap.height * scale));
+        const ctx = canvas.getContext('2d');
+        ctx.drawImage(bitmap, 0, 0, canvas.width, canvas.height);
+        bitmap.close();
+
+        const { data } = ctx.getImageData(0, 0, canvas.width, canvas.height);
+        const pixels = [];
+        for (let i = 0; i < data.length; i += 4) {
+            if (data[i + 3] >= 128) pixels.push([data[i], data[i + 1], data[i + 2]]);
+        }
+        return this.medianCut(pixels, count);
+    }
+
+    medianCut(pixels, count) {
+        let boxes = pixels.length ? [pixels] : [];
+
+        while (boxes.length < count) {
+            // Split the box with the widest single-channel range at its median
+            let target = -1;
+            let channel = 0;
+            let widest = 0;
+            boxes.forEach((box, i) => {
+                for (let c = 0; c < 3; c++) {
+                    const values = box.map(p => p[c]);
+                    const range = Math.max(...values) - Math.min(...values);
+                    if (range > widest) {
+                        widest = range;
+                        target = i;
+                        channel = c;
                     }
                 }
-                break;
-            case 'triadic':
-                const triH = [h, (h + 120) % 360, (h + 240) % 360];
-                for (let i = 0; i < count; i++) {
-                    colors.push({ h: triH[i % 3], s, l: clip(l + (Math.floor(i / 3) * 15), 20, 90) });
-                }
-                break;
-            case 'split-complementary':
-                const splitH = [h, (h + 150) % 360, (h + 210) % 360];
-                for (let i = 0; i < count; i++) {
-                    colors.push({ h: splitH[i % 3], s, l: clip(l + (Math.floor(i / 3) * 15), 20, 90) });
-                }
-                break;
-            case 'square':
-                const squareH = [h, (h + 90) % 360, (h + 180) % 360, (h + 270) % 360];
-                for (let i = 0; i < count; i++) {
-                    colors.push({ h: squareH[i % 4], s, l: clip(l + (Math.floor(i / 4) * 15), 20, 90) });
+            });
+            if (target === -1) break;
+
+            const box = boxes[target].sort((a, b) => a[channel] - b[channel]);
+            const mid = Math.floor(box.length / 2);
+            boxes.splice(target, 1, box.slice(0, mid), box.slice(mid));
+        }
+
+        // Most populated (dominant) colors first
+        return this.uniqueColors(boxes
+            .sort((a, b) => b.length - a.length)
+            .map(box => {
+                const sum = box.reduce((acc, p) => acc.map((v, c) => v + p[c]), [0, 0, 0]);
+                return rgbToHex(...sum.map(v => v / box.length));
+            }));
+    }
+
+    setImportColors(colors) {
+        this.importColors = colors;
+        this.dom.importPreview.innerHTML = colors.slice(0, this.config.maxColors)
+            .map(c => `<span class="import-swatch" style="background: ${c}" title="${c}"></span>`)
+            .join('');
+        this.dom.importApplyBtn.disabled = !colors.length;
+    }
+
+    applyImportedColors(colors) {
+        if (!colors.length) return;
+
+        const count = Math.max(this.config.minColors, Math.min(this.config.maxColors, colors.length));
+        if (count <= this.state.totalColors && this.state.locked.slice(0, count).every(Boolean)) {
+            this.showToast('Unlock a color to import into it');
+            return;
+        }
+
+        this.recordHistory();
+        if (count !== this.state.totalColors) {
+            // Locks on surviving slots are kept by updateColorCount
+            this.updateColorCount(count, { record: false, regenerate: false });
+        }
+
+        // Imports go into unlocked slots, in order; locked colors stay put
+        const locked = this.state.locked;
+        const open = this.state.colors.map((_, i) => i).filter(i => !locked[i]);
+        const placed = open.slice(0, colors.length);
+        placed.forEach((slot, i) => {
+            this.state.colors[slot] = colors[i];
+        });
+
+        // Open slots left over: fill them from the harmony, anchored on the imports and
+        // locked colors and keeping pinned channels
+        const remaining = open.slice(placed.length);
+        if (remaining.length) {
+            const filled = generatePalette({
+                ...this.getHarmonyOptions(),
+                colors: this.state.colors,
+                locked: locked.map((isLocked, i) => isLocked || placed.includes(i))
+            }).colors;
+            remaining.forEach(i => {
+                this.state.colors[i] = filled[i];
+            });
+        }
+        this.updateUI();
+        this.syncURL(true);
+        this.showToast(remaining.length
+            ? `Imported ${placed.length} colors, added ${remaining.length} from the harmony`
+            : `Imported ${placed.length} colors`);
+    }
+
+    /* --- Color-Vision Simulation --- */
+    setVisionMode(vision) {
+        this.state.vision = VISION_MATRICES[vision] ? vision : 'none';
+
+        // Cards and the whole preview are filtered through the same matrix in CSS
+        const matrix = VISION_MATRICES[this.state.vision];
+        if (matrix) {
+            const values = matrix.map(row => [...row, 0, 0].join(' ')).concat('0 0 0 1 0');
+            this.dom.visionMatrix.setAttribute('values', values.join(' '));
+            this.dom.root.dataset.vision = this.state.vision;
+        } else {
+            delete this.dom.root.dataset.vision;
+        }
+        this.updateVisionWarning();
+    }
+
+    simulateVision(hex, vision) {
+        const matrix = VISION_MATRICES[vision];
+        if (!matrix) return hex;
+
+        const rgb = Object.values(hexToRgb(hex)).map(v => srgbToLinear(v / 255));
+        const simulated = matrix.map(row => row.reduce((sum, weight, i) => sum + weight * rgb[i], 0));
+        return rgbToHex(...simulated.map(v => linearToSrgb(Math.max(0, Math.min(1, v))) * 255));
+    }
+
+    updateVisionWarning() {
+        if (!this.dom.visionWarning) return;
+        const vision = this.state.vision;
+        if (!VISION_MATRICES[vision]) {
+            this.dom.visionWarning.hidden = true;
+            return;
+        }
+
+        // Compare every pair of swatches as they appear under the deficiency
+        const simulated = this.state.colors.map(c => hexToOklab(this.simulateVision(c, vision)));
+        const confusable = [];
+        for (let i = 0; i < simulated.length; i++) {
+            for (let j = i + 1; j < simulated.length; j++) {
+                const distance = deltaEOK(simulated[i], simulated[j]);
+                if (distance < this.config.visionMinDeltaE) {
+                    confusable.push(`C${i + 1} & C${j + 1} (ΔE OK ${distance.toFixed(3)})`);
                 }
-                break;
-            default:
-                for (let i = 0; i < count; i++) colors.push({ h: Math.random() * 360, s: 60, l: 50 });
+            }
+        }
+
+        const label = this.dom.visionSelect.selectedOptions[0]?.textContent || vision;
+        this.dom.visionWarning.hidden = !confusable.length;
+        this.dom.visionWarning.innerHTML = `
+            <span class="material-icons-round">warning</span>
+            <span>Hard to tell apart with ${label.toLowerCase()}: ${confusable.join(', ')}</span>
+        `;
+    }
+
+    /* --- Color Names --- */
+    buildNameIndex(entries) {
+        // Later duplicates of a hex (grey after gray) are dropped
+        const seen = new Set();
+        return entries.filter(entry => {
+            if (!entry?.name || !/^#[0-9A-F]{6}$/.test(entry.hex) || seen.has(entry.hex)) return false;
+            seen.add(entry.hex);
+            return true;
+        }).map(entry => ({ ...entry, lab: hexToOklab(entry.hex) }));
+    }
+
+    normalizeColorName(text) {
+        // Case, spaces, dashes and underscores don't matter when matching names
+        return text.toLowerCase().replace(/[\s\-_]+/g, '');
+    }
+
+    findNearestColor(hex, index) {
+        const lab = hexToOklab(hex);
+        return index.reduce((best, entry) => {
+            const distance = deltaEOK(lab, entry.lab);
+            return !best || distance < best.deltaE ? { name: entry.name, hex: entry.hex, deltaE: distance } : best;
+        }, null);
+    }
+
+    getColorName(hex) {
+        return this.findNearestColor(hex, this.colorNames);
+    }
+
+    lookupColorName(name) {
+        // Brand swatches win over CSS names
+        const query = this.normalizeColorName(name);
+        if (!query) return null;
+        const brand = this.brandSwatches.find(swatch => this.normalizeColorName(swatch.name) === query);
+        return brand ? brand.hex : CSS_NAMED_COLORS[query] || null;
+    }
+
+    setSlotColor(index, hex) {
+        if (index >= this.state.totalColors || hex === this.state.colors[index]) return;
+        this.recordHistory();
+        this.state.colors[index] = hex;
+        this.updateSingleCardUI(index);
+        this.syncURL();
+    }
+
+    renderNamesPanel() {
+        const hasBrand = this.brandSwatches.length > 0;
+        const rows = this.state.colors.map((color, i) => {
+            const nearest = this.getColorName(color);
+            const brand = hasBrand ? this.findNearestColor(color, this.brandSwatches) : null;
+            const match = entry => `
+                <span class="matrix-chip" style="background: ${entry.hex}"></span>${this.escapeHTML(entry.name)}
+                <small>${entry.hex} · ΔE OK ${entry.deltaE.toFixed(3)}</small>
+            `;
+            return `
+                <tr>
+                    <th scope="row"><span class="matrix-chip" style="background: ${color}"></span>C${i + 1} ${color}</th>
+                    <td>${match(nearest)}</td>
+                    ${hasBrand ? `<td>${match(brand)}</td>` : ''}
+                </tr>
+            `;
+        }).join('');
+
+        this.dom.namesTable.innerHTML = `
+            <thead><tr><th scope="col">Swatch</th><th scope="col">Nearest Name</th>${hasBrand ? '<th scope="col">Closest Brand Swatch</th>' : ''}</tr></thead>
+            <tbody>${rows}</tbody>
+        `;
+
+        const target = this.dom.nameTarget.value;
+        this.dom.nameTarget.innerHTML = `<option value="copy">Click to copy</option>${this.state.colors
+            .map((_, i) => `<option value="${i}">Click to set C${i + 1}</option>`).join('')}`;
+        this.dom.nameTarget.value = this.dom.nameTarget.querySelector(`option[value="${target}"]`) ? target : 'copy';
+        this.renderNameResults();
+    }
+
+    renderNameResults() {
+        // Whole-name matches first, then names starting with the query, then the rest
+        const query = this.normalizeColorName(this.dom.nameSearch.value);
+        const rank = entry => {
+            const name = this.normalizeColorName(entry.name);
+            if (name === query) return 0;
+            return name.startsWith(query) ? 1 : 2;
+        };
+        const matches = [...this.brandSwatches, ...this.colorNames]
+            .filter(entry => query && this.normalizeColorName(entry.name).includes(query))
+            .sort((a, b) => rank(a) - rank(b) || a.name.localeCompare(b.name))
+            .slice(0, 24);
+
+        this.dom.nameResults.innerHTML = matches.length
+            ? matches.map(entry => `
+                <button class="name-result" data-hex="${entry.hex}" title="${entry.hex}">
+                    <span class="matrix-chip" style="background: ${entry.hex}"></span>
+                    <span>${this.escapeHTML(entry.name)}</span>
+                    <small>${entry.hex}</small>
+                </button>
+            `).join('')
+            : `<p class="library-empty">${query ? 'No names match.' : 'Type part of a name to look it up.'}</p>`;
+    }
+
+    saveBrandSwatches(text) {
+        // One swatch per line: a name plus any color value parseColorValue understands
+        const colorPattern = /(#[0-9a-f]{3}\b|#[0-9a-f]{6}\b|#[0-9a-f]{8}\b|(?:rgb|hsl)a?\([^)]*\))/i;
+        const swatches = text.split('\n').map(line => {
+            const match = line.match(colorPattern);
+            const hex = match && this.parseColorValue(match[1]);
+            if (!hex) return null;
+            const name = line.replace(match[1], '').replace(/^[\s,:;=|-]+|[\s,:;=|-]+$/g, '');
+            return { name: name || hex, hex };
+        }).filter(Boolean);
+
+        this.brandSwatches = this.buildNameIndex(swatches);
+        localStorage.setItem('brandSwatches', JSON.stringify(this.brandSwatches.map(({ name, hex }) => ({ name, hex }))));
+        this.dom.brandSwatchesInput.value = this.brandSwatches.map(s => `${s.name} ${s.hex}`).join('\n');
+        this.renderNamesPanel();
+        this.showToast(this.brandSwatches.length
+            ? `Matching against ${this.brandSwatches.length} brand swatches`
+            : 'Brand swatches cleared');
+    }
+
+    /* --- Gradient Builder --- */
+    spreadGradientStops() {
+        // Every slot, spread evenly in palette order
+        const last = this.state.totalColors - 1;
+        return this.state.colors.map((_, index) => ({ index, position: Math.round((index / last) * 100) }));
+    }
+
+    syncGradientStops() {
+        // Stops for slots that no longer exist go; below two, start over with every slot
+        this.gradient.stops = this.gradient.stops.filter(stop => stop.index < this.state.totalColors);
+        if (this.gradient.stops.length < 2) {
+            this.gradient.stops = this.spreadGradientStops();
+        }
+    }
+
+    toggleGradientStop(index, include) {
+        // The other stops keep their positions; a new one lands between its palette neighbours
+        const stops = this.gradient.stops.filter(stop => stop.index !== index && stop.index < this.state.totalColors);
+        if (include) {
+            const before = stops.filter(stop => stop.index < index).sort((a, b) => b.index - a.index)[0];
+            const after = stops.filter(stop => stop.index > index).sort((a, b) => a.index - b.index)[0];
+            let position = 0;
+            if (before && after) position = Math.round((before.position + after.position) / 2);
+            else if (before) position = 100;
+            stops.push({ index, position });
+        }
+        this.gradient.stops = stops;
+    }
+
+    getGradientStops(color = i => this.state.colors[i]) {
+        // Read-only: with fewer than two usable stops, an even spread stands in
+        let stops = this.gradient.stops.filter(stop => stop.index < this.state.totalColors);
+        if (stops.length < 2) stops = this.spreadGradientStops();
+        return [...stops]
+            .sort((a, b) => a.position - b.position)
+            .map(stop => ({ color: color(stop.index), position: stop.position }));
+    }
+
+    mixColors(hexA, hexB, t, space) {
+        if (space === 'srgb') {
+            const a = hexToRgb(hexA);
+            const b = hexToRgb(hexB);
+            return rgbToHex(...['r', 'g', 'b'].map(k => Math.round(a[k] + (b[k] - a[k]) * t)));
+        }
+        if (space === 'oklch') {
+            // Shorter hue arc, the CSS default
+            const a = hexToOklch(hexA);
+            const b = hexToOklch(hexB);
+            const dh = ((b.h - a.h + 540) % 360) - 180;
+            return oklchToHex({ l: a.l + (b.l - a.l) * t, c: a.c + (b.c - a.c) * t, h: a.h + dh * t });
+        }
+        const a = hexToOklab(hexA);
+        const b = hexToOklab(hexB);
+        return oklchToHex(oklabToOklch({ l: a.l + (b.l - a.l) * t, a: a.a + (b.a - a.a) * t, b: a.b + (b.b - a.b) * t }));
+    }
+
+    buildGradient(stops, space) {
+        // sRGB is the CSS default, so it stays implicit for the widest support
+        const { type, angle } = this.gradient;
+        const method = space === 'srgb' ? '' : `in ${space}`;
+        const prelude = {
+            linear: [`${angle}deg`, method],
+            radial: ['circle', method],
+            conic: [`from ${angle}deg`, method]
+        }[type].filter(Boolean).join(' ');
+        return `${type}-gradient(${prelude}, ${stops.map(stop => `${stop.color} ${stop.position}%`).join(', ')})`;
+    }
+
+    getGradientFallback(stops) {
+        // Bake the chosen interpolation into extra sRGB stops for browsers without `in <space>`
+        if (this.gradient.space === 'srgb') return this.buildGradient(stops, 'srgb');
+        const baked = stops.flatMap((stop, i) => {
+            const next = stops[i + 1];
+            if (!next) return [stop];
+            const between = [0.25, 0.5, 0.75].map(t => ({
+                color: this.mixColors(stop.color, next.color, t, this.gradient.space),
+                position: Math.round((stop.position + (next.position - stop.position) * t) * 10) / 10
+            }));
+            return [stop, ...between];
+        });
+        return this.buildGradient(baked, 'srgb');
+    }
+
+    supportsGradientSpaces() {
+        return Boolean(window.CSS?.supports?.('background-image', 'linear-gradient(in oklab, red, blue)'));
+    }
+
+    getGradientCSS() {
+        const stops = this.getGradientStops();
+        const { space } = this.gradient;
+        const lines = [`    background-color: ${stops[0].color};`];
+        if (space === 'srgb') {
+            lines.push(`    background-image: ${this.buildGradient(stops, 'srgb')};`);
+        } else {
+            lines.push(
+                `    /* Fallback: ${space} midpoints baked into sRGB stops */`,
+                `    background-image: ${this.getGradientFallback(stops)};`,
+                `    background-image: ${this.buildGradient(stops, space)};`
+            );
+        }
+        return `.gradient {\n${lines.join('\n')}\n}\n`;
+    }
+
+    updateGradient(changes) {
+        Object.assign(this.gradient, changes);
+        this.renderGradientBuilder();
+        this.applyHeroGradient();
+    }
+
+    renderGradientBuilder() {
+        const stops = this.getGradientStops();
+        const { type, angle, space, applied } = this.gradient;
+
+        this.dom.gradientTypes.querySelectorAll('[data-gradient-type]').forEach(tab => {
+            const active = tab.dataset.gradientType === type;
+            tab.classList.toggle('active', active);
+            tab.setAttribute('aria-selected', active);
+        });
+        this.dom.gradientSpace.value = space;
+        this.dom.gradientAngleGroup.hidden = type === 'radial';
+        this.dom.gradientAngle.value = angle;
+        this.dom.gradientAngleValue.textContent = `${angle}°`;
+
+        this.dom.gradientPreview.style.backgroundImage = this.supportsGradientSpaces()
+            ? this.buildGradient(stops, space)
+            : this.getGradientFallback(stops);
+        this.dom.gradientOutput.textContent = this.getGradientCSS();
+        this.dom.gradientApplyBtn.setAttribute('aria-pressed', applied);
+        this.dom.gradientApplyBtn.classList.toggle('active', applied);
+    }
+
+    renderGradientStops() {
+        // One row per slot; unchecked slots are left out of the gradient
+        this.syncGradientStops();
+        this.dom.gradientStops.innerHTML = this.state.colors.map((color, i) => {
+            const stop = this.gradient.stops.find(s => s.index === i);
+            return `
+                <label>
+                    <input type="checkbox" data-stop-toggle="${i}" ${stop ? 'checked' : ''}>
+                    <span class="matrix-chip" style="background: ${color}"></span>
+                    <span>C${i + 1}</span>
+                    <input type="range" data-stop-position="${i}" min="0" max="100" step="1"
+                        value="${stop ? stop.position : 0}" aria-label="C${i + 1} Position" ${stop ? '' : 'disabled'}>
+                    <output>${stop ? `${stop.position}%` : '—'}</output>
+                </label>
+            `;
+        }).join('');
+    }
+
+    applyHeroGradient() {
+        // Bound to the --c-N variables, so the hero keeps up with palette edits
+        if (!this.gradient.applied) {
+            this.dom.previewHero.style.backgroundImage = '';
+            return;
+        }
+        const stops = this.getGradientStops(i => `var(--c-${i + 1})`);
+        const space = this.supportsGradientSpaces() ? this.gradient.space : 'srgb';
+        this.dom.previewHero.style.backgroundImage = this.buildGradient(stops, space);
+    }
+
+    /* --- Semantic Theme Roles --- */
+    getThemeRoles(colors = this.state.colors) {
+        const { neutrals, status, statusLightness, statusChroma, maxHueShift } = this.config.themeRoles;
+        const lch = colors.map(hex => hexToOklch(hex));
+        const theme = this.state.theme;
+        const slots = colors.map((_, i) => i);
+
+        const pinned = role => {
+            const index = this.roleAssignments[role];
+            return Number.isInteger(index) && index < colors.length ? index : null;
+        };
+        const hueDistance = (a, b) => {
+            const d = Math.abs(a - b) % 360;
+            return d > 180 ? 360 - d : d;
+        };
+
+        // 1. Brand roles: the most chromatic slot leads, the accent sits furthest
+        //    from it in hue (near-grays don't count), secondary is the next most vivid
+        const taken = new Set(['primary', 'secondary', 'accent'].map(pinned).filter(i => i !== null));
+        const byChroma = [...slots].sort((a, b) => lch[b].c - lch[a].c);
+        const free = () => byChroma.filter(i => !taken.has(i));
+        const claim = (role, choose) => {
+            const index = pinned(role) ?? choose(free()) ?? byChroma[0];
+            taken.add(index);
+            return index;
+        };
+
+        const primary = claim('primary', candidates => candidates[0]);
+        const accent = claim('accent', candidates => candidates.reduce((best, i) => {
+            const score = hueDistance(lch[i].h, lch[primary].h) * Math.min(1, lch[i].c / 0.05);
+            return best === undefined || score > best.score ? { i, score } : best;
+        }, undefined)?.i);
+        const secondary = claim('secondary', candidates => candidates[0]);
+
+        const roles = {
+            primary: colors[primary],
+            secondary: colors[secondary],
+            accent: colors[accent]
+        };
+
+        // 2. Neutrals tinted toward the primary hue, per theme
+        ['background', 'surface'].forEach(role => {
+            const index = pinned(role);
+            const { l, c } = neutrals[theme][role];
+            roles[role] = index !== null ? colors[index] : oklchToHex({ l, c, h: lch[primary].h });
+        });
+
+        // 3. Status colors: fixed hues leaning slightly toward the nearest palette hue,
+        //    at the palette's average chroma, stepped until readable on the background
+        const chromatic = lch.filter(c => c.c > 0.04);
+        const averageChroma = lch.reduce((sum, c) => sum + c.c, 0) / lch.length;
+        const chroma = Math.max(statusChroma.min, Math.min(statusChroma.max, averageChroma));
+        const direction = theme === 'theme-dark' ? 0.03 : -0.03;
+
+        Object.entries(status).forEach(([role, hue]) => {
+            const index = pinned(role);
+            if (index !== null) {
+                roles[role] = colors[index];
+                return;
+            }
+            const offsets = chromatic.map(c => ((c.h - hue + 540) % 360) - 180);
+            const nearest = offsets.length
+                ? offsets.reduce((best, d) => (Math.abs(d) < Math.abs(best) ? d : best))
+                : 0;
+            const shift = Math.max(-maxHueShift, Math.min(maxHueShift, nearest));
+
+            let l = statusLightness[theme];
+            let hex = oklchToHex({ l, c: chroma, h: hue + shift });
+            while (getContrastRatio(hex, roles.background) < this.config.wcag.aaLarge && l > 0.2 && l < 0.95) {
+                l += direction;
+                hex = oklchToHex({ l, c: chroma, h: hue + shift });
+            }
+            roles[role] = hex;
+        });
+
+        // 4. Readable "on" colors for every role
+        return Object.fromEntries(Object.entries(roles).flatMap(([role, hex]) => [
+            [role, hex],
+            [`on-${role}`, this.getOnColor(hex)]
+        ]));
+    }
+
+    getOnColor(hex) {
+        // Prefer the tinted ends of the color's own ramp, falling back to plain dark/light
+        const scale = this.getColorScale(hex);
+        const [best] = [scale[0].hex, scale[scale.length - 1].hex]
+            .sort((a, b) => getContrastRatio(b, hex) - getContrastRatio(a, hex));
+        return getContrastRatio(best, hex) >= this.config.wcag.aa ? best : getContrastColor(hex);
+    }
+
+    updateThemeRoles() {
+        this.themeRoles = this.getThemeRoles();
+        Object.entries(this.themeRoles).forEach(([role, hex]) => {
+            this.dom.root.style.setProperty(`--role-${role}`, hex);
+        });
+        if (this.dom.rolesModal.open) {
+            this.renderRolesPanel();
+        }
+    }
+
+    renderRolesPanel() {
+        const options = this.state.colors.map((c, i) => `<option value="${i}">C${i + 1}</option>`).join('');
+        const roles = Object.keys(this.themeRoles).filter(role => !role.startsWith('on-'));
+
+        this.dom.roleList.innerHTML = roles.map(role => {
+            const color = this.themeRoles[role];
+            const on = this.themeRoles[`on-${role}`];
+            const ratio = getContrastRatio(on, color);
+            return `
+                <li class="role-row">
+                    <span class="role-swatch" style="background: ${color}; color: ${on}">Aa</span>
+                    <span class="role-name">${role}</span>
+                    <span class="role-values">${color} / on ${on} · ${ratio.toFixed(2)}:1</span>
+                    <select data-role-select="${role}" aria-label="${role} source">
+                        <option value="auto">Auto</option>${options}
+                    </select>
+                </li>
+            `;
+        }).join('');
+
+        roles.forEach(role => {
+            const index = this.roleAssignments[role];
+            const select = this.dom.roleList.querySelector(`[data-role-select="${role}"]`);
+            select.value = Number.isInteger(index) && index < this.state.colors.length ? index : 'auto';
+        });
+    }
+
+    getRolesCSS() {
+        const lines = Object.entries(this.themeRoles).map(([role, hex]) => `    --role-${role}: ${hex};`);
+        return `:root {\n${lines.join('\n')}\n}\n`;
+    }
+
+    /* --- A/B Comparison --- */
+    pinComparison() {
+        this.comparison = this.createSnapshot();
+        this.renderComparison();
+        this.showToast('Pinned current palette as A');
+    }
+
+    clearComparison() {
+        this.comparison = null;
+        this.renderComparison();
+    }
+
+    swapComparison() {
+        // The live palette becomes A and A is loaded back for editing (undoable)
+        const pinned = this.comparison;
+        this.comparison = this.createSnapshot();
+        this.recordHistory();
+        this.restoreSnapshot(pinned, { pushURL: true });
+        this.renderComparison();
+    }
+
+    renderComparison() {
+        const comparing = Boolean(this.comparison);
+        this.dom.comparePanel.hidden = !comparing;
+        this.dom.comparePane.hidden = !comparing;
+        this.dom.compareSplit.classList.toggle('comparing', comparing);
+        this.dom.compareBtn.classList.toggle('active', comparing);
+        this.dom.compareBtn.setAttribute('aria-pressed', comparing);
+        if (!comparing) {
+            this.dom.comparePane.innerHTML = '';
+            this.comparisonCopy = null;
+            return;
+        }
+
+        // 1. Copy the live template; ids and upload controls belong to the original only
+        const template = Array.from(this.dom.previewTemplates).find(panel => !panel.hidden);
+        const key = `${template.dataset.template}:${this.previewVersion}`;
+        if (this.comparisonCopy !== key) {
+            this.copyComparisonTemplate(template);
+            this.comparisonCopy = key;
+        }
+
+        // 2. Palette A's variables, scoped to its pane
+        this.applyComparisonScope();
+
+        // 3. Slot-by-slot differences
+        this.renderComparisonTable();
+    }
+
+    copyComparisonTemplate(template) {
+        const copy = template.cloneNode(true);
+        copy.querySelectorAll('.svg-actions').forEach(el => el.remove());
+        copy.querySelectorAll('[id]').forEach(el => {
+            if (!el.closest('svg')) el.removeAttribute('id');
+        });
+        copy.removeAttribute('role');
+
+        // The copy is for the eyes only: keep it out of the tab order
+        copy.querySelectorAll('[tabindex], a, button, input, select, textarea').forEach(el => {
+            el.setAttribute('tabindex', '-1');
+        });
+        this.dom.comparePane.replaceChildren(copy);
+    }
+
+    applyComparisonScope() {
+        const colors = this.comparison.colors;
+        const pane = this.dom.comparePane;
+        this.comparisonRoles = this.getThemeRoles(colors);
+
+        // Slots A lacks fall back to B's colors
+        pane.removeAttribute('style');
+        colors.forEach((hex, i) => {
+            pane.style.setProperty(`--c-${i + 1}`, hex);
+            pane.style.setProperty(`--text-c-${i + 1}`, getContrastColor(hex));
+            this.getColorScale(hex).forEach(({ step, hex: shade }) => {
+                pane.style.setProperty(`--c-${i + 1}-${step}`, shade);
+            });
+        });
+        Object.entries(this.comparisonRoles).forEach(([role, hex]) => {
+            pane.style.setProperty(`--role-${role}`, hex);
+        });
+    }
+
+    renderComparisonTable() {
+        const a = this.comparison.colors;
+        const b = this.state.colors;
+        const { background } = this.getThemeColors();
+        const swatch = hex => (hex
+            ? `<span class="compare-swatch" style="background: ${hex}"></span><code>${hex}</code>`
+            : '<span class="compare-missing">—</span>');
+
+        const differences = [];
+        this.dom.compareTableBody.innerHTML = Array.from({ length: Math.max(a.length, b.length) }, (_, i) => {
+            if (!a[i] || !b[i]) {
+                return `<tr><th scope="row">C${i + 1}</th><td>${swatch(a[i])}</td><td>${swatch(b[i])}</td><td colspan="3"></td></tr>`;
+            }
+            const difference = deltaEOK(hexToOklab(a[i]), hexToOklab(b[i]));
+            const onA = getContrastRatio(a[i], background);
+            const onB = getContrastRatio(b[i], background);
+            differences.push(difference);
+            return `
+                <tr>
+                    <th scope="row">C${i + 1}</th>
+                    <td>${swatch(a[i])}</td>
+                    <td>${swatch(b[i])}</td>
+                    <td class="${difference < this.config.compareSameDeltaE ? 'compare-same' : ''}">${difference.toFixed(3)}</td>
+                    <td>${getContrastRatio(a[i], b[i]).toFixed(2)}:1</td>
+                    <td>${onA.toFixed(2)} → ${onB.toFixed(2)} <span class="compare-delta">(${onB >= onA ? '+' : ''}${(onB - onA).toFixed(2)})</span></td>
+                </tr>
+            `;
+        }).join('');
+
+        const average = differences.reduce((sum, d) => sum + d, 0) / (differences.length || 1);
+        this.dom.compareSummary.textContent =
+            `${this.getModeName(this.comparison.mode)} vs ${this.getModeName(this.state.mode)} · mean ΔE OK ${average.toFixed(3)}`;
+    }
+
+    /* --- Accessibility Audit --- */
+    getThemeColors() {
+        const styles = getComputedStyle(this.dom.body);
+        return {
+            text: this.parseColorValue(styles.getPropertyValue('--text-primary').trim()) || '#FFFFFF',
+            background: this.parseColorValue(styles.getPropertyValue('--bg-body').trim()) || '#0F1219'
+        };
+    }
+
+    getWcagResult(ratio) {
+        const { aa, aaa, aaLarge, aaaLarge } = this.config.wcag;
+        return {
+            aa: ratio >= aa,
+            aaa: ratio >= aaa,
+            aaLarge: ratio >= aaLarge,
+            aaaLarge: ratio >= aaaLarge
+        };
+    }
+
+    renderContrastMatrix() {
+        const theme = this.getThemeColors();
+        const entries = [
+            ...this.state.colors.map((color, i) => ({ label: `C${i + 1}`, color })),
+            { label: 'Text', color: theme.text },
+            { label: 'Background', color: theme.background }
+        ];
+
+        const badge = (pass, label) => `<span class="wcag-badge ${pass ? 'pass' : 'fail'}">${label}</span>`;
+
+        // Rows are foreground (text) colors, columns are backgrounds
+        const header = entries.map(e => `
+            <th scope="col"><span class="matrix-chip" style="background: ${e.color}"></span>${e.label}</th>
+        `).join('');
+        const rows = entries.map(fg => {
+            const cells = entries.map(bg => {
+                if (fg === bg) return '<td class="matrix-self">—</td>';
+                const ratio = getContrastRatio(fg.color, bg.color);
+                const result = this.getWcagResult(ratio);
+                return `
+                    <td>
+                        <div class="matrix-sample" style="background: ${bg.color}; color: ${fg.color}">Aa</div>
+                        <div class="matrix-ratio">${ratio.toFixed(2)}:1</div>
+                        <div class="matrix-badges">
+                            ${badge(result.aa, 'AA')}${badge(result.aaa, 'AAA')}
+                            ${badge(result.aaLarge, 'AA Large')}${badge(result.aaaLarge, 'AAA Large')}
+                        </div>
+                    </td>
+                `;
+            }).join('');
+            return `<tr><th scope="row"><span class="matrix-chip" style="background: ${fg.color}"></span>${fg.label}</th>${cells}</tr>`;
+        }).join('');
+
+        this.dom.contrastMatrix.innerHTML = `
+            <thead><tr><th scope="col"><span class="visually-hidden">Text on background</span></th>${header}</tr></thead>
+            <tbody>${rows}</tbody>
+        `;
+
+        // Audit: how each swatch holds up as text on the theme background (and vice versa)
+        const audit = this.state.colors.map((color, i) => {
+            const onBackground = getContrastRatio(color, theme.background);
+            const withText = getContrastRatio(theme.text, color);
+            return { index: i, color, onBackground, withText };
+        });
+        const pairs = entries.length * (entries.length - 1);
+        const passing = entries.reduce((sum, fg) => sum + entries.filter(bg => bg !== fg
+            && getContrastRatio(fg.color, bg.color) >= this.config.wcag.aa).length, 0);
+
+        this.dom.contrastSummary.innerHTML = `
+            <p><strong>${passing}</strong> of ${pairs} combinations pass AA for normal text.</p>
+            <ul class="audit-list">
+                ${audit.map(item => `
+                    <li class="${item.onBackground >= this.config.wcag.aaLarge ? '' : 'warn'}">
+                        <span class="matrix-chip" style="background: ${item.color}"></span>
+                        <span>C${item.index + 1} ${item.color}</span>
+                        <span>as text on background: ${item.onBackground.toFixed(2)}:1</span>
+                        <span>under theme text: ${item.withText.toFixed(2)}:1</span>
+                    </li>
+                `).join('')}
+            </ul>
+        `;
+    }
+
+    downloadFile(filename, content, mimeType) {
+        const blob = content instanceof Blob ? content : new Blob([content], { type: mimeType });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        // Revoking right away can cancel the download in some browsers
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+
+    /* --- Theme Logic --- */
+    toggleTheme() {
+        this.state.theme = this.state.theme === 'theme-dark' ? 'theme-light' : 'theme-dark';
+        this.dom.body.className = this.state.theme;
+        localStorage.setItem('theme', this.state.theme);
+        this.updateThemeIcon();
+        this.updateThemeRoles();
+        if (this.comparison) this.applyComparisonScope();
+        this.updatePreviewLabels();
+    }
+
+    updateThemeIcon() {
+        const icon = this.dom.themeToggle.querySelector('.material-icons-round');
+        if (icon) {
+            icon.textContent = this.state.theme === 'theme-dark' ? 'light_mode' : 'dark_mode';
+        }
+    }
+
+    /* --- Core Color Logic --- */
+    generatePalette({ pushURL = true, record = true, seed = randomSeed() } = {}) {
+        if (record) this.recordHistory();
+
+        // 1. Seed the generator; later single refreshes keep drawing from it
+        this.state.seed = seed;
+        this.random = createRandom(seed);
+        this.dom.seedInput.value = seed;
+
+        // 2. Harmony Calculation (locked swatches anchor the base and stay in place,
+        // pinned channels carry over from the current colors)
+        const { colors } = generatePalette({
+            ...this.getHarmonyOptions(),
+            seed,
+            colors: this.state.colors,
+            locked: this.state.locked
+        });
+        this.state.colors = colors;
+
+        // 3. Render (palettes that get their own URL entry are read out)
+        this.updateUI();
+        this.syncURL(pushURL);
+        if (pushURL) {
+            this.announce(`New palette: ${this.state.colors.map(hex => this.getColorName(hex).name).join(', ')}`);
+        }
+    }
+
+    regenerateSingleColor(index) {
+        this.recordHistory();
+        this.state.colors[index] = regenerateColor(this.state.colors, index, this.getHarmonyOptions());
+        this.updateSingleCardUI(index);
+        this.syncURL();
+        this.announce(this.getCardLabel(index));
+    }
+
+    getHarmonyOptions() {
+        // Everything the engine needs to reproduce the current mode
+        return {
+            mode: this.state.mode,
+            count: this.state.totalColors,
+            perceptual: this.state.perceptual,
+            maxChroma: this.config.maxOklchChroma,
+            rule: this.getCustomHarmony(this.state.mode)?.slots || null,
+            pins: this.state.pins,
+            random: this.random
+        };
+    }
+
+    getColorScale(hex) {
+        return getColorScale(hex, { steps: this.config.scaleSteps, ...this.config.scaleLightness });
+    }
+
+    /* --- Custom Harmony Rules --- */
+    loadCustomHarmonies() {
+        try {
+            const rules = JSON.parse(localStorage.getItem('customHarmonies') || '[]');
+            return Array.isArray(rules) ? rules.filter(rule => this.isValidHarmonyRule(rule)) : [];
+        } catch (e) {
+            console.error('Ignoring unreadable custom harmonies', e);
+            return [];
+        }
+    }
+
+    isValidHarmonyRule(rule) {
+        // Stored rules are untrusted: every slot needs numeric offsets within the editor's limits
+        const { ruleLimits, maxColors } = this.config;
+        const validSlot = slot => slot && Object.entries(ruleLimits)
+            .every(([channel, limit]) => Number.isFinite(slot[channel]) && Math.abs(slot[channel]) <= limit);
+        return Boolean(rule)
+            && typeof rule.id === 'string' && /^[\w-]+$/.test(rule.id)
+            && typeof rule.name === 'string'
+            && Array.isArray(rule.slots)
+            && rule.slots.length >= 2 && rule.slots.length <= maxColors
+            && rule.slots.every(validSlot);
+    }
+
+    getCustomHarmony(mode) {
+        return this.customHarmonies.find(rule => `custom:${rule.id}` === mode) || null;
+    }
+
+    getModeName(mode) {
+        // Display label from the harmony select (covers custom rules)
+        return Array.from(this.dom.harmonySelect.options).find(o => o.value === mode)?.textContent || mode;
+    }
+
+    renderHarmonyOptions() {
+        this.dom.harmonySelect.querySelector('optgroup')?.remove();
+        if (this.customHarmonies.length) {
+            const group = document.createElement('optgroup');
+            group.label = 'Custom';
+            group.innerHTML = this.customHarmonies.map(rule => `
+                <option value="custom:${this.escapeHTML(rule.id)}">${this.escapeHTML(rule.name)}</option>
+            `).join('');
+            this.dom.harmonySelect.appendChild(group);
+        }
+        this.dom.harmonySelect.value = this.state.mode;
+    }
+
+    openHarmonyEditor() {
+        this.editHarmonyRule(this.getCustomHarmony(this.state.mode));
+        this.dom.harmonyModal.showModal();
+    }
+
+    editHarmonyRule(rule) {
+        // New rules start from a plain triadic layout
+        this.harmonyDraft = rule
+            ? { id: rule.id, name: rule.name, slots: rule.slots.map(slot => ({ ...slot })) }
+            : { id: null, name: '', slots: [{ h: 0, s: 0, l: 0 }, { h: 120, s: 0, l: 0 }, { h: 240, s: 0, l: 0 }] };
+        this.dom.harmonyForm.elements.name.value = this.harmonyDraft.name;
+        this.renderHarmonyEditor();
+    }
+
+    renderHarmonyEditor() {
+        const { slots } = this.harmonyDraft;
+        const limits = this.config.ruleLimits;
+        const channels = [['h', 'Hue'], ['s', 'Saturation'], ['l', 'Lightness']];
+
+        this.dom.harmonySlots.innerHTML = slots.map((slot, i) => `
+            <tr>
+                <th scope="row">${i + 1}</th>
+                ${channels.map(([channel, label]) => `
+                    <td>
+                        <input type="number" class="text-input" data-slot="${i}" data-channel="${channel}"
+                            min="${-limits[channel]}" max="${limits[channel]}" value="${slot[channel]}" aria-label="Slot ${i + 1} ${label}">
+                    </td>
+                `).join('')}
+                <td>
+                    <button type="button" class="icon-btn" data-rule-action="remove-slot" data-slot="${i}"
+                        title="Remove Slot" aria-label="Remove Slot ${i + 1}" ${slots.length <= 2 ? 'disabled' : ''}>
+                        <span class="material-icons-round">remove</span>
+                    </button>
+                </td>
+            </tr>
+        `).join('');
+        this.dom.harmonyForm.querySelector('[data-rule-action="add-slot"]').disabled = slots.length >= this.config.maxColors;
+
+        this.renderHarmonyPreview();
+        this.renderHarmonyRuleList();
+    }
+
+    getRuleSwatches(slots) {
+        // Sampled on a fixed mid-tone base so rules compare at a glance
+        return applyHarmonyRule(slots, { h: 210, s: 65, l: 55 }, slots.length)
+            .map(hsl => `<span style="background: ${harmonyToHex(hsl, this.getHarmonyOptions())}"></span>`).join('');
+    }
+
+    renderHarmonyPreview() {
+        this.dom.harmonyPreview.innerHTML = this.getRuleSwatches(this.harmonyDraft.slots);
+    }
+
+    renderHarmonyRuleList() {
+        if (!this.customHarmonies.length) {
+            this.dom.harmonyRuleList.innerHTML = '<li class="library-empty">Saved rules will appear here.</li>';
+            return;
+        }
+        this.dom.harmonyRuleList.innerHTML = this.customHarmonies.map(rule => `
+            <li class="rule-item${rule.id === this.harmonyDraft.id ? ' active' : ''}" data-id="${this.escapeHTML(rule.id)}">
+                <div class="rule-preview">${this.getRuleSwatches(rule.slots)}</div>
+                <span class="rule-name">${this.escapeHTML(rule.name)}</span>
+                <button type="button" class="icon-btn" data-rule-action="edit" title="Edit"
+                    aria-label="Edit ${this.escapeHTML(rule.name)}">
+                    <span class="material-icons-round">edit</span>
+                </button>
+                <button type="button" class="icon-btn" data-rule-action="delete" title="Delete"
+                    aria-label="Delete ${this.escapeHTML(rule.name)}">
+                    <span class="material-icons-round">delete</span>
+                </button>
+            </li>
+        `).join('');
+    }
+
+    handleHarmonyRuleAction(action, button) {
+        const id = button.closest('[data-id]')?.dataset.id;
+        if (action === 'add-slot') {
+            this.harmonyDraft.slots.push({ h: 0, s: 0, l: 0 });
+            this.renderHarmonyEditor();
+        } else if (action === 'remove-slot') {
+            this.harmonyDraft.slots.splice(parseInt(button.dataset.slot, 10), 1);
+            this.renderHarmonyEditor();
+        } else if (action === 'new') {
+            this.editHarmonyRule(null);
+        } else if (action === 'edit') {
+            this.editHarmonyRule(this.customHarmonies.find(rule => rule.id === id));
+        } else if (action === 'delete') {
+            this.deleteCustomHarmony(id);
+        }
+    }
+
+    saveCustomHarmony() {
+        const name = this.dom.harmonyForm.elements.name.value.trim();
+        const clip = (val, min, max) => Math.max(min, Math.min(val, max));
+        const limits = this.config.ruleLimits;
+        const rule = {
+            id: this.harmonyDraft.id || Date.now().toString(36),
+            name,
+            slots: this.harmonyDraft.slots.map(slot => ({
+                h: clip(Math.round(slot.h), -limits.h, limits.h),
+                s: clip(Math.round(slot.s), -limits.s, limits.s),
+                l: clip(Math.round(slot.l), -limits.l, limits.l)
+            }))
+        };
+
+        const index = this.customHarmonies.findIndex(existing => existing.id === rule.id);
+        if (index >= 0) {
+            this.customHarmonies[index] = rule;
+        } else {
+            this.customHarmonies.push(rule);
+        }
+        localStorage.setItem('customHarmonies', JSON.stringify(this.customHarmonies));
+
+        // Switch to the saved rule right away (snapshot first so Undo restores the old mode)
+        this.recordHistory();
+        this.state.mode = `custom:${rule.id}`;
+        this.renderHarmonyOptions();
+        this.editHarmonyRule(rule);
+        this.generatePalette({ record: false });
+        this.showToast(`Saved "${name}"`);
+    }
+
+    deleteCustomHarmony(id) {
+        this.customHarmonies = this.customHarmonies.filter(rule => rule.id !== id);
+        localStorage.setItem('customHarmonies', JSON.stringify(this.customHarmonies));
+
+        // Fall back to the default mode, keeping the current colors
+        if (this.state.mode === `custom:${id}`) {
+            this.state.mode = this.config.defaultMode;
+            this.syncURL();
+        }
+        this.renderHarmonyOptions();
+        if (this.harmonyDraft.id === id) {
+            this.editHarmonyRule(null);
+        } else {
+            this.renderHarmonyRuleList();
         }
-        return colors;
     }
 
     updateUI() {
         this.dom.colorCards.forEach((card, index) => {
-            this.updateSingleCardUI(index);
+            this.updateSingleCardUI(index, { palette: false });
         });
+        this.updatePaletteUI();
     }
 
-    updateSingleCardUI(index) {
+    updateSingleCardUI(index, { palette = true } = {}) {
         const card = this.dom.colorCards[index];
         if (!card) return;
 
         const color = this.state.colors[index];
-        const contrast = this.getContrastColor(color);
+        const contrast = getContrastColor(color);
 
         // 1. CSS Variables for the card itself
         card.style.setProperty('--card-color', color);
@@ -557,60 +3355,161 @@ class ColorApp {
         this.dom.root.style.setProperty(`--c-${index + 1}`, color);
         this.dom.root.style.setProperty(`--text-c-${index + 1}`, contrast);
 
-        // 3. Hex Input
+        // 3. Tint/Shade Scale (--c-N-50 ... --c-N-950)
+        const scale = this.getColorScale(color);
+        scale.forEach(({ step, hex }) => {
+            this.dom.root.style.setProperty(`--c-${index + 1}-${step}`, hex);
+        });
+        card.querySelector('.color-scale').innerHTML = scale.map(({ step, hex }) => `
+            <button class="scale-step" data-hex="${hex}" title="Copy ${hex}"
+                style="background: ${hex}; color: ${getContrastColor(hex)}">
+                <span>${step}</span><span>${hex}</span>
+            </button>
+        `).join('');
+
+        // 4. Hex Input
         const hexInput = card.querySelector('.hex-input');
         if (hexInput && document.activeElement !== hexInput) {
             hexInput.value = color;
         }
 
-        // 4. Lock Visuals
-        const lockIcon = card.querySelector('[title="Lock Color"] span');
-        if (lockIcon) {
-            lockIcon.textContent = this.state.locked[index] ? 'lock' : 'lock_open';
-        }
+        // 5. Nearest Name
+        const nearest = this.getColorName(color);
+        const nameLabel = card.querySelector('.color-name');
+        nameLabel.textContent = nearest.name;
+        nameLabel.title = nearest.deltaE < 0.005
+            ? nearest.name
+            : `Nearest named color: ${nearest.name} ${nearest.hex} (ΔE OK ${nearest.deltaE.toFixed(3)})`;
+
+        // 6. Lock & Pin Visuals
+        const lockBtn = card.querySelector('[data-action="lock"]');
+        lockBtn.querySelector('span').textContent = this.state.locked[index] ? 'lock' : 'lock_open';
+        lockBtn.setAttribute('aria-pressed', this.state.locked[index]);
         card.classList.toggle('locked', this.state.locked[index]);
+        card.classList.toggle('pinned', Boolean(this.state.pins[index]));
+        card.querySelectorAll('[data-pin]').forEach(button => {
+            const pinned = this.state.pins[index].includes(button.dataset.pin);
+            button.classList.toggle('active', pinned);
+            button.setAttribute('aria-pressed', pinned);
+        });
+
+        // 7. Open Color Editor
+        if (index === this.editorIndex) {
+            this.syncColorEditor();
+        }
+
+        // 8. Accessible Name
+        card.setAttribute('aria-label', this.getCardLabel(index));
+
+        // 9. Palette-wide views, unless updateUI refreshes them once for every card
+        if (palette) this.updatePaletteUI();
+    }
+
+    updatePaletteUI() {
+        // 1. Color-Vision Warnings
+        this.updateVisionWarning();
+
+        // 2. Semantic Theme Roles
+        this.updateThemeRoles();
+
+        // 3. A/B Differences
+        if (this.comparison) this.renderComparisonTable();
+
+        // 4. Preview swatch names (after the roles they may copy)
+        this.updatePreviewLabels();
+    }
+
+    getCardLabel(index) {
+        const pins = this.state.pins[index].split('').filter(Boolean).map(channel => this.config.pinChannels[channel]);
+        return [
+            `C${index + 1}: ${this.getColorName(this.state.colors[index]).name}, ${this.state.colors[index]}`,
+            this.state.locked[index] ? 'locked' : 'unlocked',
+            ...(pins.length ? [`${pins.join(' and ').toLowerCase()} pinned`] : [])
+        ].join(', ');
     }
 
     toggleLock(index) {
+        this.recordHistory();
         this.state.locked[index] = !this.state.locked[index];
         this.updateSingleCardUI(index);
+        this.syncURL();
+        this.announce(`C${index + 1} ${this.state.locked[index] ? 'locked' : 'unlocked'}`);
     }
 
-    /* --- Utils --- */
-    hslToHex(h, s, l) {
-        l /= 100;
-        const a = s * Math.min(l, 1 - l) / 100;
-        const f = n => {
-            const k = (n + h / 30) % 12;
-            const color = l - a * Math.max(Math.min(k - 3, 9 - k, 1), -1);
-            return Math.round(255 * color).toString(16).padStart(2, '0');
-        };
-        return `#${f(0)}${f(8)}${f(4)}`.toUpperCase();
+    togglePin(index, channel, { everyCard = false } = {}) {
+        this.recordHistory();
+
+        // Shift-click spreads the clicked card's new pin state to the whole palette
+        const pinned = !this.state.pins[index].includes(channel);
+        const targets = everyCard ? this.state.pins.map((_, i) => i) : [index];
+        targets.forEach(i => {
+            const channels = this.state.pins[i].replace(channel, '');
+            this.state.pins[i] = this.normalizePins(pinned ? channels + channel : channels);
+        });
+
+        if (!everyCard) {
+            this.updateSingleCardUI(index);
+        } else {
+            // Pinning that way also holds the clicked card's value across the palette
+            if (pinned) this.spreadChannel(index, channel);
+            this.updateUI();
+        }
+        this.syncURL();
+        const scope = everyCard ? 'every color' : `C${index + 1}`;
+        const source = everyCard && pinned ? ` at the value of C${index + 1}` : '';
+        this.announce(`${this.config.pinChannels[channel]} ${pinned ? 'pinned' : 'unpinned'} on ${scope}${source}`);
     }
 
-    getContrastColor(hex) {
-        const r = parseInt(hex.substr(1, 2), 16);
-        const g = parseInt(hex.substr(3, 2), 16);
-        const b = parseInt(hex.substr(5, 2), 16);
-        const yiq = ((r * 299) + (g * 587) + (b * 114)) / 1000;
-        return (yiq >= 128) ? '#0f1219' : '#ffffff';
+    spreadChannel(index, channel) {
+        // Pins keep each card's current channel, so copying the value over is enough;
+        // locked cards keep their exact color
+        const options = this.getHarmonyOptions();
+        const value = hexToHarmonySpace(this.state.colors[index], options)[channel];
+        this.state.colors = this.state.colors.map((hex, i) => {
+            if (i === index || this.state.locked[i]) return hex;
+            return harmonyToHex({ ...hexToHarmonySpace(hex, options), [channel]: value }, options);
+        });
     }
 
-    copyToClipboard(text) {
+    normalizePins(value = '') {
+        // Known channels only, in canonical h/s/l order
+        return Object.keys(this.config.pinChannels).filter(channel => value.includes(channel)).join('');
+    }
+
+    /* --- Utils --- */
+    escapeHTML(text) {
+        return String(text).replace(/[&<>"']/g, ch => ({
+            '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+        })[ch]);
+    }
+
+    copyToClipboard(text, message = `${text} copied!`) {
         if (!navigator.clipboard) return;
         navigator.clipboard.writeText(text).then(() => {
-            this.showToast(`${text} copied!`);
+            this.showToast(message);
         });
     }
 
     createToastContainer() {
+        // Visual only; screen readers hear the same message through the live region
         this.dom.toast = document.createElement('div');
         this.dom.toast.className = 'toast-notification';
+        this.dom.toast.setAttribute('aria-hidden', 'true');
         this.dom.toast.innerHTML = `<span class="material-icons-round">check</span> <span class="msg"></span>`;
         document.body.appendChild(this.dom.toast);
     }
 
+    announce(msg) {
+        // Clear first so repeating the same message is read again
+        this.dom.liveRegion.textContent = '';
+        clearTimeout(this.announceTimer);
+        this.announceTimer = setTimeout(() => {
+            this.dom.liveRegion.textContent = msg;
+        }, 50);
+    }
+
     showToast(msg) {
+        this.announce(msg);
         if (!this.dom.toast) return;
         this.dom.toast.querySelector('.msg').textContent = msg;
         this.dom.toast.classList.add('active');
@@ -0,0 +1,156 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    HARMONY_MODES, HARMONY_RULES, calculateHarmonies, generatePalette, hslToHex, hexToHsl, rgbToHex, hexToRgb
+} from '../palette-engine.js';
+import { createRandom } from '../random.js';
+
+const HEX = /^#[0-9A-F]{6}$/;
+
+// Hue offsets from the base for six colors per mode; rule-driven modes follow their table
+const HUE_OFFSETS = {
+    analogous: [300, 320, 340, 0, 20, 40],
+    monochromatic: [0, 0, 0, 0, 0, 0],
+    complementary: [0, 0, 0, 180, 180, 180],
+    triadic: [0, 120, 240, 0, 120, 240],
+    'split-complementary': [0, 150, 210, 0, 150, 210],
+    square: [0, 90, 180, 270, 0, 90],
+    'shades-accent': [0, 0, 0, 0, 0, 180],
+    natural: [288, 312, 336, 0, 24, 48],
+    ...Object.fromEntries(Object.entries(HARMONY_RULES)
+        .map(([mode, slots]) => [mode, Array.from({ length: 6 }, (_, i) => (slots[i % slots.length].h + 360) % 360)]))
+};
+
+// Lightness range each mode clips to; analogous keeps the base lightness as is
+const LIGHTNESS_LIMITS = {
+    monochromatic: [15, 95],
+    complementary: [20, 90],
+    triadic: [20, 90],
+    'split-complementary': [20, 90],
+    square: [20, 90],
+    rectangle: [15, 95],
+    'double-split-complementary': [15, 95],
+    compound: [15, 95],
+    'shades-accent': [15, 95],
+    natural: [15, 90]
+};
+
+const sampleHexes = (seed, count) => {
+    const random = createRandom(seed);
+    return Array.from({ length: count }, () => rgbToHex(random() * 255, random() * 255, random() * 255));
+};
+
+/* --- Random --- */
+test('createRandom repeats the same sequence for the same seed', () => {
+    const a = createRandom('BRAND');
+    const b = createRandom('BRAND');
+    const first = Array.from({ length: 20 }, a);
+    assert.deepEqual(Array.from({ length: 20 }, b), first);
+    assert.ok(first.every(value => value >= 0 && value < 1));
+    assert.notDeepEqual(Array.from({ length: 20 }, createRandom('OTHER')), first);
+});
+
+/* --- Conversions --- */
+test('hexToRgb and rgbToHex round-trip', () => {
+    sampleHexes('rgb', 200).forEach(hex => {
+        const { r, g, b } = hexToRgb(hex);
+        assert.equal(rgbToHex(r, g, b), hex);
+    });
+});
+
+test('hexToHsl and hslToHex round-trip', () => {
+    ['#000000', '#FFFFFF', '#808080', ...sampleHexes('hsl', 200)].forEach(hex => {
+        const { h, s, l } = hexToHsl(hex);
+        assert.equal(hslToHex(h, s, l), hex);
+    });
+});
+
+/* --- Harmonies --- */
+test('calculateHarmonies returns count colors for every mode', () => {
+    HARMONY_MODES.forEach(mode => {
+        [3, 5, 8].forEach(count => {
+            const colors = calculateHarmonies({ h: 200, s: 60, l: 50 }, { mode, count, random: createRandom(mode) });
+            assert.equal(colors.length, count, mode);
+            colors.forEach(({ h }) => assert.ok(h >= 0 && h < 360, `${mode} hue ${h}`));
+        });
+    });
+});
+
+test('calculateHarmonies places hues at each mode\'s offsets, wrapping at 360', () => {
+    HARMONY_MODES.forEach(mode => {
+        const colors = calculateHarmonies({ h: 350, s: 60, l: 50 }, { mode, count: 6 });
+        const offsets = colors.map(({ h }) => Math.round((h - 350 + 360) % 360));
+        assert.deepEqual(offsets, HUE_OFFSETS[mode], mode);
+    });
+});
+
+test('monochromatic steps lightness by 12 around the base', () => {
+    const colors = calculateHarmonies({ h: 40, s: 60, l: 50 }, { mode: 'monochromatic', count: 5 });
+    assert.deepEqual(colors.map(c => c.l), [26, 38, 50, 62, 74]);
+    colors.forEach(({ s }) => assert.equal(s, 60));
+});
+
+test('calculateHarmonies clips saturation and lightness per mode', () => {
+    const bases = [{ h: 10, s: 0, l: 2 }, { h: 350, s: 100, l: 99 }];
+    Object.entries(LIGHTNESS_LIMITS).forEach(([mode, [min, max]]) => {
+        bases.forEach(base => {
+            calculateHarmonies(base, { mode, count: 8 }).forEach(({ s, l }) => {
+                assert.ok(s >= 0 && s <= 100, `${mode} saturation ${s}`);
+                assert.ok(l >= min && l <= max, `${mode} lightness ${l}`);
+            });
+        });
+    });
+    calculateHarmonies({ h: 10, s: 40, l: 99 }, { mode: 'analogous', count: 5 })
+        .forEach(({ l }) => assert.equal(l, 99));
+});
+
+test('custom rules clip to the rule limits and repeat lighter past their length', () => {
+    const rule = [{ h: 0, s: 0, l: 0 }, { h: 180, s: 80, l: -90 }];
+    const colors = calculateHarmonies({ h: 300, s: 50, l: 50 }, { rule, count: 4 });
+    assert.deepEqual(colors.map(c => c.h), [300, 120, 300, 120]);
+    assert.deepEqual(colors.map(c => c.s), [50, 100, 50, 100]);
+    assert.deepEqual(colors.map(c => c.l), [50, 15, 65, 15]);
+});
+
+test('unknown modes fall back to seeded random hues', () => {
+    const options = { mode: 'random', count: 5 };
+    const a = calculateHarmonies({ h: 0, s: 50, l: 50 }, { ...options, random: createRandom('R') });
+    const b = calculateHarmonies({ h: 0, s: 50, l: 50 }, { ...options, random: createRandom('R') });
+    assert.deepEqual(a, b);
+    a.forEach(({ s, l }) => assert.deepEqual([s, l], [60, 50]));
+});
+
+/* --- Palettes --- */
+test('generatePalette is reproducible from its seed in every mode', () => {
+    [...HARMONY_MODES, 'random'].forEach(mode => {
+        [false, true].forEach(perceptual => {
+            const first = generatePalette({ seed: 'SEED', mode, count: 6, perceptual });
+            const again = generatePalette({ seed: 'SEED', mode, count: 6, perceptual });
+            assert.equal(first.seed, 'SEED');
+            assert.deepEqual(again.colors, first.colors, mode);
+            assert.equal(first.colors.length, 6);
+            first.colors.forEach(hex => assert.match(hex, HEX, mode));
+        });
+    });
+});
+
+test('generatePalette keeps locked colors', () => {
+    const { colors } = generatePalette({ seed: 'START', mode: 'triadic', count: 5 });
+    const next = generatePalette({
+        seed: 'NEXT',
+        mode: 'triadic',
+        count: 5,
+        colors,
+        locked: [true, false, false, true, false]
+    });
+    assert.equal(next.colors[0], colors[0]);
+    assert.equal(next.colors[3], colors[3]);
+    assert.notDeepEqual(next.colors, colors);
+});
+
+test('generatePalette keeps pinned channels from the current colors', () => {
+    const { colors } = generatePalette({ seed: 'START', mode: 'triadic', count: 5 });
+    const next = generatePalette({ seed: 'NEXT', mode: 'triadic', count: 5, colors, pins: ['', 'l', 'h', '', ''] });
+    assert.ok(Math.abs(hexToHsl(next.colors[1]).l - hexToHsl(colors[1]).l) <= 1);
+    assert.ok(Math.abs(hexToHsl(next.colors[2]).h - hexToHsl(colors[2]).h) <= 2);
+});